@@ -0,0 +1,1230 @@
+// Board model
+// The artwork without a page: board size, layers of cells, history, group transforms,
+// move planning, seeded Randomize, SVG export and project files. No DOM access, so the
+// same code drives the editor (script.js), Node scripts and tests.
+//
+//   import { Board } from "./board.mjs";
+//   const board = new Board(6, 6);
+//   board.randomize(42, { palette: [{ name: "Ink", hex: "#222222" }] });
+//   console.log(board.toSVG().svg);
+//
+// Cells are { shapeType, color, rotation, mirrorX, mirrorY } or null. Positions are
+// { row, col }. Edits don't record history themselves: call pushHistory(label) first,
+// as the editor does, when the change should be undoable.
+
+import { CELL_PX, SHAPES, SHAPE_TYPES, shapeMarkup } from "./shapes.mjs";
+
+export { CELL_PX, ROUND_PX, SHAPES, SHAPE_TYPES, num, shapeMarkup, shapeSvg } from "./shapes.mjs";
+
+// ---------- Constants ----------
+export const DEFAULT_ROWS = 5;
+export const DEFAULT_COLS = 5;
+export const MIN_BOARD = 2;
+export const MAX_BOARD = 32;
+export const MIN_OUTPUT = 2;
+
+export const DEFAULT_PALETTE = [
+  { name: "Blue", hex: "#6396fc" },
+  { name: "Yellow", hex: "#ffdd35" },
+];
+export const MAX_PALETTE = 32;
+
+export const ROTATIONS = [0, 90, 180, 270];
+export const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+export const MAX_LAYERS = 8;
+export const MAX_LAYER_NAME = 40;
+
+export const HISTORY_LIMIT = 100;
+
+export const MAX_SEED = 0xffffffff;
+export const DEFAULT_WEIGHT = 5;
+
+export const PROJECT_FORMAT = "shape-builder";
+export const PROJECT_VERSION = 2;
+
+export const DEFAULT_SVG_OPTIONS = {
+  crop: "tight", // "tight" | "board" | "window"
+  cellSize: CELL_PX, // SVG units per cell
+  margin: 0, // outer padding around the artwork
+  gap: 0, // grout between neighbouring cells
+  background: "", // hex, or "" for transparent
+  windowSize: MAX_BOARD, // output window for the "window" crop (see getOutputWindow)
+};
+
+// ---------- Utilities ----------
+export const clampInt = (n, min, max) => Math.max(min, Math.min(max, n | 0));
+
+export function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+export function isBoardSize(n) {
+  return Number.isInteger(n) && n >= MIN_BOARD && n <= MAX_BOARD;
+}
+
+// The output window Randomize fills, Repeat can tile and the "window" crop exports: a centred
+// size × size square, or the whole rows × cols board once size reaches the shorter side
+export function getOutputWindow(size, rows, cols) {
+  const s = clampInt(size, MIN_OUTPUT, Math.min(rows, cols));
+  if (s === Math.min(rows, cols)) return { startRow: 0, startCol: 0, endRow: rows, endCol: cols };
+  const startRow = Math.floor((rows - s) / 2);
+  const startCol = Math.floor((cols - s) / 2);
+  return { startRow, startCol, endRow: startRow + s, endCol: startCol + s };
+}
+
+export function positionBounds(positions) {
+  let minRow = Infinity, maxRow = -Infinity, minCol = Infinity, maxCol = -Infinity;
+
+  positions.forEach(({ row, col }) => {
+    minRow = Math.min(minRow, row);
+    maxRow = Math.max(maxRow, row);
+    minCol = Math.min(minCol, col);
+    maxCol = Math.max(maxCol, col);
+  });
+
+  return { minRow, maxRow, minCol, maxCol };
+}
+
+function cellData(data) {
+  return {
+    shapeType: data.shapeType,
+    color: data.color,
+    rotation: data.rotation,
+    mirrorX: !!data.mirrorX,
+    mirrorY: !!data.mirrorY,
+  };
+}
+
+// ---------- Transforms ----------
+export function normalizeAngle(deg) {
+  return ((deg % 360) + 360) % 360;
+}
+
+// Reflection flips angle sign in our representation
+export function reflectRotation(deg) {
+  return normalizeAngle(360 - deg);
+}
+
+// Where the cell at (lr, lc) of an height × width box lands under `kind`, with its new orientation
+export function transformCell(kind, lr, lc, height, width, data) {
+  let nr = lr;
+  let nc = lc;
+
+  const next = { ...data };
+
+  if (kind === "mirrorX") {
+    nc = (width - 1) - lc;
+    next.mirrorX = !next.mirrorX;
+    next.rotation = reflectRotation(next.rotation);
+  } else if (kind === "mirrorY") {
+    nr = (height - 1) - lr;
+    next.mirrorY = !next.mirrorY;
+    next.rotation = reflectRotation(next.rotation);
+  } else if (kind === "rotate") {
+    // Rotate 90° clockwise within the box (anchored at top-left)
+    nr = lc;
+    nc = (height - 1) - lr;
+    next.rotation = normalizeAngle(next.rotation + 90);
+  } else if (kind === "rotateCCW") {
+    nr = (width - 1) - lc;
+    nc = lr;
+    next.rotation = normalizeAngle(next.rotation - 90);
+  } else if (kind === "rotate180") {
+    nr = (height - 1) - lr;
+    nc = (width - 1) - lc;
+    next.rotation = normalizeAngle(next.rotation + 180);
+  }
+
+  return { row: nr, col: nc, data: next };
+}
+
+// ---------- Random generator ----------
+// mulberry32: small, fast and good enough for picking tiles; the same seed always
+// yields the same sequence
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function newSeed() {
+  return (Math.random() * (MAX_SEED + 1)) >>> 0;
+}
+
+// Digits are used as-is; any other text is hashed (FNV-1a) so words work as seeds too
+export function parseSeed(text) {
+  const value = String(text).trim();
+  if (!value) return null;
+  if (/^\d+$/.test(value) && Number(value) <= MAX_SEED) return Number(value);
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export function weightOf(weights, key) {
+  return weights && Number.isFinite(weights[key]) ? weights[key] : DEFAULT_WEIGHT;
+}
+
+// All-zero weights fall back to an even pick rather than failing
+export function pickWeighted(rng, items, weights) {
+  const total = items.reduce((sum, item) => sum + weightOf(weights, item), 0);
+  if (total <= 0) return items[(rng() * items.length) | 0];
+
+  let roll = rng() * total;
+  for (const item of items) {
+    roll -= weightOf(weights, item);
+    if (roll < 0) return item;
+  }
+  return items[items.length - 1];
+}
+
+// Fills `targets` (cell indexes) in a copy of `snap` ({ rows, cols, cells }) from `seed`;
+// every other cell is kept. Targets are cleared first so "no adjacent colour" only sees
+// cells that will stay. Options: palette, shapeWeights, colorWeights, rotationWeights,
+// noAdjacentColor.
+export function generateRandom(snap, targets, seed, options = {}) {
+  const rng = createRng(seed);
+  const out = snap.cells.slice();
+  const hexes = (options.palette || DEFAULT_PALETTE).map((p) => p.hex);
+
+  targets.forEach((i) => {
+    out[i] = null;
+  });
+
+  const neighbourColors = (i) => {
+    const row = Math.floor(i / snap.cols);
+    const col = i % snap.cols;
+    const colors = new Set();
+    for (const [dr, dc] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+      const r = row + dr;
+      const c = col + dc;
+      if (r < 0 || c < 0 || r >= snap.rows || c >= snap.cols) continue;
+      const data = out[r * snap.cols + c];
+      if (data) colors.add(data.color);
+    }
+    return colors;
+  };
+
+  [...targets].sort((a, b) => a - b).forEach((i) => {
+    const shapeType = pickWeighted(rng, SHAPE_TYPES, options.shapeWeights);
+    const rotation = pickWeighted(rng, ROTATIONS, options.rotationWeights);
+
+    let colors = hexes;
+    if (options.noAdjacentColor) {
+      const near = neighbourColors(i);
+      const allowed = hexes.filter((hex) => !near.has(hex) && weightOf(options.colorWeights, hex) > 0);
+      if (allowed.length) colors = allowed;
+    }
+
+    out[i] = {
+      shapeType,
+      color: pickWeighted(rng, colors, options.colorWeights),
+      rotation,
+      mirrorX: false,
+      mirrorY: false,
+    };
+  });
+
+  return { rows: snap.rows, cols: snap.cols, cells: out };
+}
+
+// ---------- Connected generator ----------
+// Wang-tile style: each side of a placed tile is a connector (which stretches of the side are
+// filled, from SHAPES[type].edges), and neighbours must agree on the side they share, so
+// curves and bands run on from cell to cell. Solved like wave-function collapse: the cell
+// with the fewest fitting tiles is decided next, and a dead end backtracks.
+const EDGE_SAMPLES = 10; // points sampled along each side
+const CONNECT_STEPS = 500; // tile placements a search may try, plus STEPS_PER_CELL per cell to fill
+const STEPS_PER_CELL = 4;
+const MAX_CONNECT_TRIES = 8; // fresh searches before giving up
+
+// Side → neighbour offset and the neighbour's side it touches
+const SIDES = {
+  top: { dr: -1, dc: 0, facing: "bottom" },
+  right: { dr: 0, dc: 1, facing: "left" },
+  bottom: { dr: 1, dc: 0, facing: "top" },
+  left: { dr: 0, dc: -1, facing: "right" },
+};
+
+// Sample t along a side, in cell fractions (same directions as SHAPES edges)
+const SIDE_POINTS = {
+  top: (t) => [t, 0],
+  right: (t) => [1, t],
+  bottom: (t) => [t, 1],
+  left: (t) => [0, t],
+};
+
+const edgeCache = new Map();
+
+// Which side of the unrotated shape, and where along it, a point on its outline is
+function baseSidePoint(x, y) {
+  const near = (a, b) => Math.abs(a - b) < 1e-6;
+  if (near(y, 0)) return ["top", x];
+  if (near(x, 1)) return ["right", y];
+  if (near(y, 1)) return ["bottom", x];
+  return ["left", y];
+}
+
+// { top, right, bottom, left } connectors of a placed tile, as strings of filled (1) / empty (0)
+// samples. Each sample is mapped back through the tile's rotation and mirrors to the side
+// of the drawn shape it comes from.
+export function tileEdges(data) {
+  const key = `${data.shapeType} ${data.rotation} ${!!data.mirrorX} ${!!data.mirrorY}`;
+  if (edgeCache.has(key)) return edgeCache.get(key);
+
+  const edges = (SHAPES[data.shapeType] || SHAPES.square).edges;
+  const rad = (-data.rotation * Math.PI) / 180;
+  const cos = Math.round(Math.cos(rad));
+  const sin = Math.round(Math.sin(rad));
+  const sx = data.mirrorX ? -1 : 1;
+  const sy = data.mirrorY ? -1 : 1;
+
+  const result = {};
+  Object.keys(SIDE_POINTS).forEach((side) => {
+    let bits = "";
+    for (let k = 0; k < EDGE_SAMPLES; k++) {
+      const [px, py] = SIDE_POINTS[side]((k + 0.5) / EDGE_SAMPLES);
+      // Undo rotate(a) then scale(sx sy) about the centre
+      const dx = px - 0.5;
+      const dy = py - 0.5;
+      const [baseSide, t] = baseSidePoint((dx * cos - dy * sin) * sx + 0.5, (dx * sin + dy * cos) * sy + 0.5);
+      bits += edges[baseSide].some(([from, to]) => t >= from && t <= to) ? "1" : "0";
+    }
+    result[side] = bits;
+  });
+
+  edgeCache.set(key, result);
+  return result;
+}
+
+// Every shape × rotation the weights allow, as candidate tiles with their connectors
+function connectedTiles(options) {
+  const tiles = [];
+  SHAPE_TYPES.forEach((shapeType) => {
+    ROTATIONS.forEach((rotation) => {
+      const weight = weightOf(options.shapeWeights, shapeType) * weightOf(options.rotationWeights, rotation);
+      if (weight <= 0) return;
+      const data = { shapeType, rotation, mirrorX: false, mirrorY: false };
+      tiles.push({ data, weight, edges: tileEdges(data) });
+    });
+  });
+  return tiles;
+}
+
+// Like generateRandom, but the tiles at `targets` are chosen so every side they share with a
+// neighbouring shape matches; all other shapes are fixed constraints. Tiles joined by a filled
+// side share a colour, so each connected form is one colour (a form touching a fixed shape takes
+// its colour). Returns null when no arrangement fits.
+export function generateConnected(snap, targets, seed, options = {}) {
+  const rng = createRng(seed);
+  const out = snap.cells.slice();
+  const tiles = connectedTiles(options);
+  const targetSet = new Set(targets);
+  targets.forEach((i) => {
+    out[i] = null;
+  });
+  if (targets.length && tiles.length === 0) return null;
+
+  const neighbour = (i, side) => sideNeighbour(snap, i, side);
+  const chosen = new Map(); // target index → tile index
+  const fits = new Map(); // open target index → tile indexes matching its decided neighbours
+
+  const refit = (i) => {
+    if (!targetSet.has(i) || chosen.has(i)) return;
+    fits.set(i, tiles
+      .map((tile, n) => n)
+      .filter((n) => Object.keys(SIDES).every((side) => {
+        const j = neighbour(i, side);
+        if (j < 0) return true;
+        const other = targetSet.has(j) ? (chosen.has(j) ? tiles[chosen.get(j)].data : null) : out[j];
+        return !other || tileEdges(other)[SIDES[side].facing] === tiles[n].edges[side];
+      })));
+  };
+  const refitAround = (i) => {
+    Object.keys(SIDES).forEach((side) => {
+      const j = neighbour(i, side);
+      if (j >= 0) refit(j);
+    });
+  };
+  const choose = (i, n) => {
+    chosen.set(i, n);
+    fits.delete(i);
+    refitAround(i);
+  };
+  const unchoose = (i) => {
+    chosen.delete(i);
+    refit(i);
+    refitAround(i);
+  };
+
+  // Weighted random order, so likelier tiles are tried first
+  const shuffled = (list) => {
+    const rest = list.slice();
+    const ordered = [];
+    while (rest.length) {
+      const pick = pickWeighted(rng, rest, Object.fromEntries(rest.map((n) => [n, tiles[n].weight])));
+      ordered.push(pick);
+      rest.splice(rest.indexOf(pick), 1);
+    }
+    return ordered;
+  };
+
+  // One search from scratch: "solved", "impossible", or "stuck" when it ran out of steps
+  const solve = () => {
+    chosen.clear();
+    fits.clear();
+    targets.forEach(refit);
+    const stack = []; // [{ cell, untried }] decisions, for backtracking
+    let steps = 0;
+
+    while (chosen.size < targets.length) {
+      // Collapse the most constrained open cell
+      let best = -1;
+      for (const [i, list] of fits) {
+        if (best < 0 || list.length < fits.get(best).length) best = i;
+        if (list.length === 0) break;
+      }
+
+      if (fits.get(best).length > 0) {
+        stack.push({ cell: best, untried: shuffled(fits.get(best)) });
+      } else {
+        // Dead end: jump back to the latest decision next to it (later ones can't be the cause)
+        // that has another tile to try; a spent decision passes the blame to its own neighbours
+        const blamed = new Set(Object.keys(SIDES).map((side) => neighbour(best, side)));
+        while (stack.length) {
+          const last = stack[stack.length - 1];
+          if (blamed.has(last.cell) && last.untried.length > 1) break;
+          if (blamed.has(last.cell)) Object.keys(SIDES).forEach((side) => blamed.add(neighbour(last.cell, side)));
+          unchoose(stack.pop().cell);
+        }
+        if (!stack.length) return "impossible";
+        stack[stack.length - 1].untried.shift();
+      }
+
+      if (++steps > CONNECT_STEPS + STEPS_PER_CELL * targets.length) return "stuck";
+      const top = stack[stack.length - 1];
+      choose(top.cell, top.untried[0]);
+    }
+    return "solved";
+  };
+
+  // A search that wanders into a long dead end usually does better starting over
+  let outcome = "stuck";
+  for (let attempt = 0; attempt < MAX_CONNECT_TRIES && outcome === "stuck"; attempt++) outcome = solve();
+  if (outcome !== "solved") return null;
+
+  chosen.forEach((n, i) => {
+    out[i] = { ...tiles[n].data, color: null };
+  });
+  colorForms(snap, out, targets, rng, options);
+  return { rows: snap.rows, cols: snap.cols, cells: out };
+}
+
+// Cells from the generator `options.style` names, or null when it finds no solution
+function generate(snap, targets, seed, options) {
+  const result = options.style === "connected"
+    ? generateConnected(snap, targets, seed, options)
+    : generateRandom(snap, targets, seed, options);
+  return result ? result.cells : null;
+}
+
+// Index of the cell across `side` of cell i, or -1 past the board edge
+function sideNeighbour(snap, i, side) {
+  const row = Math.floor(i / snap.cols) + SIDES[side].dr;
+  const col = (i % snap.cols) + SIDES[side].dc;
+  return row < 0 || col < 0 || row >= snap.rows || col >= snap.cols ? -1 : row * snap.cols + col;
+}
+
+// Colours the new tiles (color: null) form by form, a form being tiles joined through filled
+// shared sides
+function colorForms(snap, out, targets, rng, options) {
+  const hexes = (options.palette || DEFAULT_PALETTE).map((p) => p.hex);
+
+  [...targets].sort((a, b) => a - b).forEach((start) => {
+    if (out[start].color) return;
+
+    // Flood the form, noting any fixed colour it touches and the colours around it
+    const form = [start];
+    const seen = new Set(form);
+    const near = new Set();
+    let fixed = null;
+    for (let k = 0; k < form.length; k++) {
+      const i = form[k];
+      Object.keys(SIDES).forEach((side) => {
+        const j = sideNeighbour(snap, i, side);
+        if (j < 0 || !out[j] || seen.has(j)) return;
+        if (!tileEdges(out[i])[side].includes("1")) {
+          if (out[j].color) near.add(out[j].color);
+          return;
+        }
+        seen.add(j);
+        if (!out[j].color) form.push(j);
+        else if (!fixed) fixed = out[j].color;
+      });
+    }
+
+    let colors = hexes;
+    if (options.noAdjacentColor) {
+      const allowed = hexes.filter((hex) => !near.has(hex) && weightOf(options.colorWeights, hex) > 0);
+      if (allowed.length) colors = allowed;
+    }
+    const color = fixed || pickWeighted(rng, colors, options.colorWeights);
+    form.forEach((i) => {
+      out[i] = { ...out[i], color };
+    });
+  });
+}
+
+// ---------- Snapshots ----------
+// { rows, cols, active, layers: [{ id, name, visible, locked, opacity, cells }] }, cells
+// row-major. Snapshots from before layers ({ rows, cols, cells }) become a single layer.
+export function normalizeSnapshot(snap) {
+  if (!isPlainObject(snap) || Array.isArray(snap.layers) || !Array.isArray(snap.cells)) return snap;
+  return {
+    rows: snap.rows,
+    cols: snap.cols,
+    active: 0,
+    layers: [{ name: "Layer 1", visible: true, locked: false, opacity: 1, cells: snap.cells }],
+  };
+}
+
+// Swaps the active layer's cells in a full snapshot
+export function withLayerCells(snap, layerCells) {
+  return {
+    ...snap,
+    layers: snap.layers.map((layer, i) => (i === snap.active ? { ...layer, cells: layerCells } : layer)),
+  };
+}
+
+// Artwork stays anchored to the top-left; shapes beyond the new edge are dropped
+export function resizeSnapshot(snap, rows, cols) {
+  return {
+    ...snap,
+    rows,
+    cols,
+    layers: snap.layers.map((layer) => {
+      const next = new Array(rows * cols).fill(null);
+      layer.cells.forEach((data, i) => {
+        const r = Math.floor(i / snap.cols);
+        const c = i % snap.cols;
+        if (data && r < rows && c < cols) next[r * cols + c] = data;
+      });
+      return { ...layer, cells: next };
+    }),
+  };
+}
+
+export function isValidPalette(palette) {
+  return (
+    Array.isArray(palette) &&
+    palette.length > 0 &&
+    palette.length <= MAX_PALETTE &&
+    palette.every((p) => isPlainObject(p) && typeof p.name === "string" && HEX_COLOR.test(p.hex))
+  );
+}
+
+export function validateLayerMeta(layer, where) {
+  if (typeof layer.name !== "string" || !layer.name.trim() || layer.name.length > MAX_LAYER_NAME) {
+    throw new Error(`${where} has an invalid name.`);
+  }
+  if (typeof layer.visible !== "boolean" || typeof layer.locked !== "boolean") {
+    throw new Error(`${where} has invalid visibility or lock flags.`);
+  }
+  if (typeof layer.opacity !== "number" || !(layer.opacity >= 0 && layer.opacity <= 1)) {
+    throw new Error(`${where} has an invalid opacity.`);
+  }
+}
+
+export function validateCellData(data, where) {
+  if (!SHAPE_TYPES.includes(data.shapeType)) throw new Error(`${where} has unknown shape "${data.shapeType}".`);
+  if (typeof data.color !== "string" || !HEX_COLOR.test(data.color)) throw new Error(`${where} has an invalid colour.`);
+  if (!ROTATIONS.includes(data.rotation)) throw new Error(`${where} has an invalid rotation.`);
+  if (typeof data.mirrorX !== "boolean" || typeof data.mirrorY !== "boolean") {
+    throw new Error(`${where} has invalid mirror flags.`);
+  }
+}
+
+export function isValidSnapshot(snap) {
+  if (!isPlainObject(snap) || !isBoardSize(snap.rows) || !isBoardSize(snap.cols)) return false;
+  if (!Array.isArray(snap.layers) || snap.layers.length === 0 || snap.layers.length > MAX_LAYERS) return false;
+  if (!Number.isInteger(snap.active) || snap.active < 0 || snap.active >= snap.layers.length) return false;
+
+  try {
+    snap.layers.forEach((layer, n) => {
+      if (!isPlainObject(layer)) throw new Error(`layer ${n}`);
+      validateLayerMeta(layer, `layer ${n}`);
+      if (!Array.isArray(layer.cells) || layer.cells.length !== snap.rows * snap.cols) throw new Error(`layer ${n}`);
+      layer.cells.forEach((data, i) => {
+        if (data !== null) validateCellData(data, `cell ${i}`);
+      });
+    });
+  } catch {
+    return false;
+  }
+  return true;
+}
+
+// ---------- SVG ----------
+// Works on a snapshot, so output never depends on on-screen size or zoom.
+// Hidden layers are left out, as they are on screen.
+export function visibleLayers(snap) {
+  return snap.layers.filter((layer) => layer.visible);
+}
+
+export function findUsedBounds(snap) {
+  let minRow = Infinity, maxRow = -Infinity, minCol = Infinity, maxCol = -Infinity;
+
+  visibleLayers(snap).forEach((layer) => {
+    layer.cells.forEach((data, i) => {
+      if (!data) return;
+      const row = Math.floor(i / snap.cols);
+      const col = i % snap.cols;
+      minRow = Math.min(minRow, row);
+      maxRow = Math.max(maxRow, row);
+      minCol = Math.min(minCol, col);
+      maxCol = Math.max(maxCol, col);
+    });
+  });
+
+  return { minRow, maxRow, minCol, maxCol };
+}
+
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export function exportBounds(snap, crop, windowSize = DEFAULT_SVG_OPTIONS.windowSize) {
+  if (crop === "board") return { minRow: 0, maxRow: snap.rows - 1, minCol: 0, maxCol: snap.cols - 1 };
+
+  if (crop === "window") {
+    const { startRow, startCol, endRow, endCol } = getOutputWindow(windowSize, snap.rows, snap.cols);
+    return { minRow: startRow, maxRow: endRow - 1, minCol: startCol, maxCol: endCol - 1 };
+  }
+
+  return findUsedBounds(snap);
+}
+
+// Where every visible shape lands in the output, or null when there's nothing in the crop:
+// { width, height, cellSize, margin, gap, background, layers: [{ name, opacity, items: [{ x, y, data }] }] }.
+// buildArtworkSvg and the CLI's PNG rasterizer (raster.mjs) both draw from this.
+export function artworkLayout(snap, options = {}) {
+  const { crop, cellSize, margin, gap, background, windowSize } = { ...DEFAULT_SVG_OPTIONS, ...options };
+  const { minRow, maxRow, minCol, maxCol } = exportBounds(snap, crop, windowSize);
+
+  const inCrop = (row, col) => row >= minRow && row <= maxRow && col >= minCol && col <= maxCol;
+  const pitch = cellSize + gap;
+
+  // Bottom first
+  const layers = visibleLayers(snap).map((layer) => {
+    const items = [];
+    layer.cells.forEach((data, i) => {
+      if (!data) return;
+
+      const row = Math.floor(i / snap.cols);
+      const col = i % snap.cols;
+      if (!inCrop(row, col)) return;
+
+      items.push({ x: margin + (col - minCol) * pitch, y: margin + (row - minRow) * pitch, data });
+    });
+    return { name: layer.name, opacity: layer.opacity, items };
+  });
+  if (!layers.some((layer) => layer.items.length)) return null;
+
+  const cols = maxCol - minCol + 1;
+  const rows = maxRow - minRow + 1;
+  return {
+    width: margin * 2 + cols * cellSize + (cols - 1) * gap,
+    height: margin * 2 + rows * cellSize + (rows - 1) * gap,
+    cellSize,
+    margin,
+    gap,
+    background,
+    layers,
+  };
+}
+
+// Returns { svg, width, height }, or null when there's nothing to export in the crop.
+// Options as in DEFAULT_SVG_OPTIONS; anything else is ignored.
+export function buildArtworkSvg(snap, options = {}) {
+  const layout = artworkLayout(snap, options);
+  if (!layout) return null;
+
+  const { width: svgWidth, height: svgHeight, cellSize, margin, gap, background } = layout;
+  const shapesSvg = [];
+
+  if (background) {
+    shapesSvg.push(`<rect width="${svgWidth}" height="${svgHeight}" fill="${background}" />`);
+  }
+
+  // One <g data-layer> per visible layer, bottom first
+  layout.layers.forEach((layer) => {
+    const layerSvg = layer.items.map(({ x, y, data }) => {
+      const cx = cellSize / 2;
+      const cy = cellSize / 2;
+      const sx = data.mirrorX ? -1 : 1;
+      const sy = data.mirrorY ? -1 : 1;
+      const a = data.rotation;
+
+      return `<g transform="translate(${x} ${y})">
+            <g transform="translate(${cx} ${cy}) rotate(${a}) scale(${sx} ${sy}) translate(${-cx} ${-cy})">
+              ${shapeMarkup(data.shapeType, data.color, cellSize)}
+            </g>
+          </g>`;
+    });
+
+    const opacity = layer.opacity < 1 ? ` opacity="${layer.opacity}"` : "";
+    shapesSvg.push(`<g data-layer="${escapeXml(layer.name)}"${opacity}>\n${layerSvg.join("\n")}\n</g>`);
+  });
+
+  // data-* records the layout so the importer can map positions back to cells
+  const svg =
+`<svg xmlns="http://www.w3.org/2000/svg" width="${svgWidth}" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}" data-margin="${margin}" data-gap="${gap}">
+${shapesSvg.join("\n")}
+</svg>`;
+
+  return { svg, width: svgWidth, height: svgHeight };
+}
+
+// ---------- Project files ----------
+// PROJECT_MIGRATIONS[n] upgrades a version-n document to version n + 1.
+// Versions without a migration path are rejected.
+const PROJECT_MIGRATIONS = {
+  // v1 had one grid of cells; it becomes the only layer
+  1: (doc) => ({
+    ...doc,
+    version: 2,
+    layers: [{ name: "Layer 1", visible: true, locked: false, opacity: 1, cells: doc.cells }],
+    activeLayer: 0,
+  }),
+};
+
+// The project document for a snapshot; palette and tool are the editor's, saved alongside
+export function serializeProject(snap, { palette = DEFAULT_PALETTE, tool = null } = {}) {
+  const layers = snap.layers.map((layer) => {
+    const projectCells = [];
+
+    layer.cells.forEach((data, i) => {
+      if (!data) return;
+      projectCells.push({
+        row: Math.floor(i / snap.cols),
+        col: i % snap.cols,
+        ...data,
+      });
+    });
+
+    return {
+      name: layer.name,
+      visible: layer.visible,
+      locked: layer.locked,
+      opacity: layer.opacity,
+      cells: projectCells,
+    };
+  });
+
+  const doc = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    board: { rows: snap.rows, cols: snap.cols },
+    palette: palette.map(({ name, hex }) => ({ name, hex })),
+    layers,
+    activeLayer: snap.active,
+  };
+  if (tool) doc.tool = { shapeType: tool.shapeType, color: tool.color };
+  return doc;
+}
+
+function migrateProject(doc) {
+  let current = doc;
+  while (current.version < PROJECT_VERSION) {
+    const migrate = PROJECT_MIGRATIONS[current.version];
+    if (!migrate) throw new Error(`version ${current.version} projects are no longer supported.`);
+    current = migrate(current);
+  }
+  return current;
+}
+
+export function parseProject(text, defaults) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    throw new Error("the file is not valid JSON.");
+  }
+  return readProject(doc, defaults);
+}
+
+// Returns { snap, palette, tool }, or throws with a readable reason. A missing or invalid
+// tool falls back to `defaults` ({ shapeType, color }).
+export function readProject(doc, defaults = {}) {
+  if (!isPlainObject(doc) || doc.format !== PROJECT_FORMAT) {
+    throw new Error("the file is not a Shape Builder project.");
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1) {
+    throw new Error("the project version is missing or invalid.");
+  }
+  if (doc.version > PROJECT_VERSION) {
+    throw new Error(`the project was saved by a newer version (v${doc.version}).`);
+  }
+
+  doc = migrateProject(doc);
+
+  const size = doc.board;
+  if (!isPlainObject(size) || !isBoardSize(size.rows) || !isBoardSize(size.cols)) {
+    throw new Error(`board size must be between ${MIN_BOARD} and ${MAX_BOARD} on each side.`);
+  }
+
+  if (!isValidPalette(doc.palette)) throw new Error("the palette is malformed.");
+
+  if (!Array.isArray(doc.layers) || doc.layers.length === 0 || doc.layers.length > MAX_LAYERS) {
+    throw new Error(`a project needs between 1 and ${MAX_LAYERS} layers.`);
+  }
+
+  const layers = doc.layers.map((layer, n) => {
+    const where = doc.layers.length > 1 ? `layer #${n + 1}` : "the layer";
+    if (!isPlainObject(layer)) throw new Error(`${where} is malformed.`);
+    validateLayerMeta(layer, where);
+
+    return {
+      name: layer.name.trim(),
+      visible: layer.visible,
+      locked: layer.locked,
+      opacity: layer.opacity,
+      cells: readProjectCells(layer.cells, size, doc.layers.length > 1 ? `${where}, ` : ""),
+    };
+  });
+
+  const active = Number.isInteger(doc.activeLayer) && doc.activeLayer >= 0 && doc.activeLayer < layers.length
+    ? doc.activeLayer
+    : layers.length - 1;
+
+  const tool = isPlainObject(doc.tool) ? doc.tool : {};
+  const palette = doc.palette.map(({ name, hex }) => ({ name, hex: hex.toLowerCase() }));
+
+  return {
+    snap: { rows: size.rows, cols: size.cols, active, layers },
+    palette,
+    tool: {
+      shapeType: SHAPE_TYPES.includes(tool.shapeType) ? tool.shapeType : defaults.shapeType || SHAPE_TYPES[0],
+      color: typeof tool.color === "string" && HEX_COLOR.test(tool.color) ? tool.color : defaults.color || palette[0].hex,
+    },
+  };
+}
+
+// Sparse { row, col, ...data } entries → a dense row-major cell array
+function readProjectCells(list, size, prefix) {
+  if (!Array.isArray(list)) throw new Error(`${prefix}the cell list is missing.`);
+
+  const snapCells = new Array(size.rows * size.cols).fill(null);
+
+  list.forEach((entry, n) => {
+    const where = `${prefix}cell #${n + 1}`;
+    if (!isPlainObject(entry)) throw new Error(`${where} is malformed.`);
+
+    const { row, col } = entry;
+    if (!Number.isInteger(row) || !Number.isInteger(col) || row < 0 || col < 0 || row >= size.rows || col >= size.cols) {
+      throw new Error(`${where} lies outside the board.`);
+    }
+
+    const data = {
+      shapeType: entry.shapeType,
+      color: entry.color,
+      rotation: entry.rotation,
+      mirrorX: entry.mirrorX,
+      mirrorY: entry.mirrorY,
+    };
+    validateCellData(data, where);
+
+    const index = row * size.cols + col;
+    if (snapCells[index]) throw new Error(`${where} duplicates row ${row}, column ${col}.`);
+    snapCells[index] = data;
+  });
+
+  return snapCells;
+}
+
+// ---------- Board ----------
+const NO_SHIFT = Object.freeze({ dRow: 0, dCol: 0 }); // plan offset when nothing was auto-shifted
+
+export class Board {
+  constructor(rows = DEFAULT_ROWS, cols = DEFAULT_COLS) {
+    this.rows = clampInt(rows, MIN_BOARD, MAX_BOARD);
+    this.cols = clampInt(cols, MIN_BOARD, MAX_BOARD);
+    this.layers = []; // bottom → top: { id, name, visible, locked, opacity, cells }
+    this.activeLayer = null; // id of the layer edits act on
+    this.history = []; // [{ label, snap }] — states before each labelled action
+    this.future = []; // redo stack, same shape; cleared by any new edit
+    this.nextLayerId = 1;
+    this.addLayer();
+  }
+
+  static fromSnapshot(snap) {
+    const board = new Board(snap.rows, snap.cols);
+    board.restore(snap);
+    return board;
+  }
+
+  // Throws like readProject when the document is invalid
+  static fromProject(doc) {
+    return Board.fromSnapshot(readProject(doc).snap);
+  }
+
+  // ----- Cells -----
+  index(row, col) {
+    return row * this.cols + col;
+  }
+
+  inBounds(row, col) {
+    return row >= 0 && col >= 0 && row < this.rows && col < this.cols;
+  }
+
+  get(row, col, layerId = this.activeLayer) {
+    const layer = this.layer(layerId);
+    const data = layer && this.inBounds(row, col) ? layer.cells[this.index(row, col)] : null;
+    return data ? { ...data } : null;
+  }
+
+  // Returns false when the position or layer doesn't exist
+  set(row, col, data, layerId = this.activeLayer) {
+    const layer = this.layer(layerId);
+    if (!layer || !this.inBounds(row, col)) return false;
+    layer.cells[this.index(row, col)] = data ? cellData(data) : null;
+    return true;
+  }
+
+  count(layerId = this.activeLayer) {
+    const layer = this.layer(layerId);
+    return layer ? layer.cells.filter(Boolean).length : 0;
+  }
+
+  clear(layerId = this.activeLayer) {
+    const layer = this.layer(layerId);
+    if (layer) layer.cells.fill(null);
+  }
+
+  outputWindow(size) {
+    return getOutputWindow(size, this.rows, this.cols);
+  }
+
+  // ----- Layers -----
+  layerIndex(id) {
+    return this.layers.findIndex((layer) => layer.id === id);
+  }
+
+  layer(id = this.activeLayer) {
+    return this.layers[this.layerIndex(id)] || null;
+  }
+
+  uniqueLayerName() {
+    let n = this.layers.length + 1;
+    while (this.layers.some((layer) => layer.name === `Layer ${n}`)) n++;
+    return `Layer ${n}`;
+  }
+
+  // New layers go directly above the active one and become active; null at MAX_LAYERS
+  addLayer(name = this.uniqueLayerName()) {
+    if (this.layers.length >= MAX_LAYERS) return null;
+
+    const layer = {
+      id: this.nextLayerId++,
+      name,
+      visible: true,
+      locked: false,
+      opacity: 1,
+      cells: new Array(this.rows * this.cols).fill(null),
+    };
+    this.layers.splice(this.layerIndex(this.activeLayer) + 1, 0, layer);
+    this.activeLayer = layer.id;
+    return layer;
+  }
+
+  // The last layer can't be removed; the one below a removed active layer takes over
+  removeLayer(id = this.activeLayer) {
+    const index = this.layerIndex(id);
+    if (index < 0 || this.layers.length <= 1) return false;
+
+    this.layers.splice(index, 1);
+    if (id === this.activeLayer) this.activeLayer = this.layers[Math.max(0, index - 1)].id;
+    return true;
+  }
+
+  // delta +1 moves the layer up (towards the front)
+  moveLayer(id, delta) {
+    const index = this.layerIndex(id);
+    const target = index + delta;
+    if (index < 0 || target < 0 || target >= this.layers.length) return false;
+
+    const [layer] = this.layers.splice(index, 1);
+    this.layers.splice(target, 0, layer);
+    return true;
+  }
+
+  setActiveLayer(id) {
+    if (this.layerIndex(id) < 0) return false;
+    this.activeLayer = id;
+    return true;
+  }
+
+  // ----- Snapshots & history -----
+  snapshot() {
+    return {
+      rows: this.rows,
+      cols: this.cols,
+      active: this.layerIndex(this.activeLayer),
+      layers: this.layers.map((layer) => ({
+        ...layer,
+        cells: layer.cells.map((data) => (data ? { ...data } : null)),
+      })),
+    };
+  }
+
+  // The active layer alone, as { rows, cols, cells } for single-layer tools (Randomize)
+  layerSnapshot() {
+    const layer = this.layer();
+    return {
+      rows: this.rows,
+      cols: this.cols,
+      cells: layer.cells.map((data) => (data ? { ...data } : null)),
+    };
+  }
+
+  // Project files carry no layer ids; history snapshots keep theirs
+  restore(snap) {
+    snap = normalizeSnapshot(snap);
+    this.rows = snap.rows;
+    this.cols = snap.cols;
+
+    this.layers = snap.layers.map((layer) => ({
+      id: Number.isInteger(layer.id) ? layer.id : this.nextLayerId++,
+      name: layer.name,
+      visible: layer.visible,
+      locked: layer.locked,
+      opacity: layer.opacity,
+      cells: layer.cells.map((data) => (data ? cellData(data) : null)),
+    }));
+    this.nextLayerId = Math.max(this.nextLayerId, ...this.layers.map((layer) => layer.id + 1));
+    this.activeLayer = (this.layers[snap.active] || this.layers[this.layers.length - 1]).id;
+  }
+
+  pushHistory(label) {
+    this.history.push({ label, snap: this.snapshot() });
+    if (this.history.length > HISTORY_LIMIT) this.history.shift();
+    this.future.length = 0;
+  }
+
+  // Both return the label of the step undone/redone, or null when there's nothing to do
+  undo() {
+    const last = this.history.pop();
+    if (!last) return null;
+    this.future.push({ label: last.label, snap: this.snapshot() });
+    this.restore(last.snap);
+    return last.label;
+  }
+
+  redo() {
+    const next = this.future.pop();
+    if (!next) return null;
+    this.history.push({ label: next.label, snap: this.snapshot() });
+    this.restore(next.snap);
+    return next.label;
+  }
+
+  resize(rows, cols) {
+    this.restore(resizeSnapshot(this.snapshot(), clampInt(rows, MIN_BOARD, MAX_BOARD), clampInt(cols, MIN_BOARD, MAX_BOARD)));
+  }
+
+  // ----- Group transforms & moves -----
+  // Plans are [{ srcRow, srcCol, destRow, destCol, data }] for the shapes among `positions`
+  // on the active layer, or null when there is nothing to do or the result would leave the board.
+
+  // Mirrors/rotates the positions' bounding box as a group (kind as in transformCell).
+  // Options: pivot ("corner" keeps a rotated box's top-left where it was, "center" turns it
+  // about its middle), autoShift (slide a result that overhangs the board back inside) and
+  // drop (what happens to other shapes in the way; see resolveDrop).
+  planTransform(positions, kind, options = {}) {
+    return this.checkTransform(positions, kind, options).plan;
+  }
+
+  // planTransform with the reason when there's no plan:
+  // { plan, blocked: null | "empty" | "edge" | "size" | "occupied", outside, occupied, shift }
+  // "edge": shapes would leave the board (`outside` lists their positions); "size": the result
+  // is bigger than the board, so even autoShift can't place it; "occupied": other shapes are in
+  // the way and drop is "block". `occupied` lists those shapes' positions whatever the drop
+  // setting, and `shift` is { dRow, dCol }.
+  checkTransform(positions, kind, { pivot = "corner", autoShift = false, drop = "replace" } = {}) {
+    const items = positions
+      .map(({ row, col }) => ({ row, col, data: this.get(row, col) }))
+      .filter((item) => item.data);
+    if (items.length === 0) return { plan: null, blocked: "empty", outside: [], occupied: [], shift: NO_SHIFT };
+
+    const { minRow, maxRow, minCol, maxCol } = positionBounds(positions);
+    const height = maxRow - minRow + 1;
+    const width = maxCol - minCol + 1;
+
+    // Quarter turns swap the box's sides. About the centre, the new box is centred on the old
+    // one, rounding toward the old corner so turning back lands where it started.
+    let top = minRow;
+    let left = minCol;
+    if (pivot === "center" && (kind === "rotate" || kind === "rotateCCW")) {
+      top += Math.trunc((height - width) / 2);
+      left += Math.trunc((width - height) / 2);
+    }
+
+    const plan = items.map(({ row, col, data }) => {
+      const next = transformCell(kind, row - minRow, col - minCol, height, width, data);
+      return { srcRow: row, srcCol: col, destRow: top + next.row, destCol: left + next.col, data: next.data };
+    });
+    return this.resolveDrop(this.fitPlan(plan, autoShift), drop);
+  }
+
+  // Moves the positions' shapes by (dRow, dCol); any shape leaving the board blocks the whole
+  // move unless options.autoShift, which stops the group at the edge instead. options.drop as
+  // in planTransform.
+  planMove(positions, dRow, dCol, options = {}) {
+    return this.checkMove(positions, dRow, dCol, options).plan;
+  }
+
+  // planMove with the reason, as checkTransform. No movement is no plan and nothing blocked.
+  checkMove(positions, dRow, dCol, { autoShift = false, drop = "replace" } = {}) {
+    if (dRow === 0 && dCol === 0) return { plan: null, blocked: null, outside: [], occupied: [], shift: NO_SHIFT };
+
+    const plan = [];
+    for (const { row, col } of positions) {
+      const data = this.get(row, col);
+      if (!data) continue;
+      plan.push({ srcRow: row, srcCol: col, destRow: row + dRow, destCol: col + dCol, data });
+    }
+    if (plan.length === 0) return { plan: null, blocked: "empty", outside: [], occupied: [], shift: NO_SHIFT };
+
+    const result = this.fitPlan(plan, autoShift);
+    // Pushed against the edge it's already touching, the group can't go anywhere
+    if (result.plan && result.plan.every((p) => p.srcRow === p.destRow && p.srcCol === p.destCol)) {
+      return { plan: null, blocked: "edge", outside: [], occupied: [], shift: result.shift };
+    }
+    return this.resolveDrop(result, drop);
+  }
+
+  // Checks a plan's destinations against the board, sliding it inside when autoShift allows
+  fitPlan(plan, autoShift) {
+    const outside = plan
+      .filter((p) => !this.inBounds(p.destRow, p.destCol))
+      .map((p) => ({ row: p.srcRow, col: p.srcCol }));
+    if (outside.length === 0) return { plan, blocked: null, outside, shift: NO_SHIFT };
+    if (!autoShift) return { plan: null, blocked: "edge", outside, shift: NO_SHIFT };
+
+    const dest = positionBounds(plan.map((p) => ({ row: p.destRow, col: p.destCol })));
+    if (dest.maxRow - dest.minRow >= this.rows || dest.maxCol - dest.minCol >= this.cols) {
+      return { plan: null, blocked: "size", outside, shift: NO_SHIFT };
+    }
+
+    const pull = (min, max, size) => (min < 0 ? -min : Math.min(0, size - 1 - max));
+    const shift = { dRow: pull(dest.minRow, dest.maxRow, this.rows), dCol: pull(dest.minCol, dest.maxCol, this.cols) };
+    const shifted = plan.map((p) => ({ ...p, destRow: p.destRow + shift.dRow, destCol: p.destCol + shift.dCol }));
+    return { plan: shifted, blocked: null, outside: [], shift };
+  }
+
+  // What happens to shapes already sitting where the plan lands (cells it doesn't empty itself):
+  // "replace" overwrites them, "swap" moves each into a cell the plan vacates, "block" refuses.
+  // Swapped shapes are extra plan steps marked `displaced`.
+  resolveDrop(result, drop) {
+    if (!result.plan) return { ...result, occupied: [] };
+
+    const plan = result.plan;
+    const bySrc = new Set(plan.map((p) => this.index(p.srcRow, p.srcCol)));
+    const occupied = plan
+      .filter((p) => !bySrc.has(this.index(p.destRow, p.destCol)) && this.get(p.destRow, p.destCol))
+      .map((p) => ({ row: p.destRow, col: p.destCol }));
+    if (occupied.length === 0 || (drop !== "swap" && drop !== "block")) return { ...result, occupied };
+    if (drop === "block") return { ...result, plan: null, blocked: "occupied", occupied };
+
+    // Walk each displaced shape back along the plan (dest → its source, which may itself be
+    // another step's dest) until reaching a cell that ends up empty
+    const byDest = new Map(plan.map((p) => [this.index(p.destRow, p.destCol), p]));
+    const swapped = occupied.map(({ row, col }) => {
+      let step = byDest.get(this.index(row, col));
+      while (byDest.has(this.index(step.srcRow, step.srcCol))) step = byDest.get(this.index(step.srcRow, step.srcCol));
+      return { srcRow: row, srcCol: col, destRow: step.srcRow, destCol: step.srcCol, data: this.get(row, col), displaced: true };
+    });
+    return { ...result, plan: plan.concat(swapped), occupied };
+  }
+
+  // Clears every source, then writes every destination (replacing what was there).
+  // Returns the destination positions of the planned shapes (not of ones swapped out of the way).
+  applyPlan(plan) {
+    plan.forEach((p) => this.set(p.srcRow, p.srcCol, null));
+    plan.forEach((p) => this.set(p.destRow, p.destCol, p.data));
+    return plan.filter((p) => !p.displaced).map((p) => ({ row: p.destRow, col: p.destCol }));
+  }
+
+  // ----- Randomize -----
+  // Options: those of generateRandom, plus windowSize (the output window to fill, as
+  // getOutputWindow; the whole board when omitted), locked (positions kept as they are) and
+  // style ("random", or "connected" for generateConnected, which can find no fit and return null).
+
+  // The active layer's cells after Randomize: everything cleared except locked cells, and every
+  // unlocked cell of the output window filled. The connected style keeps every shape already on
+  // the layer as a fixed constraint and fills only the empty cells. null when a connected fill
+  // has no solution.
+  planRandomize(seed, options = {}) {
+    const base = this.layerSnapshot();
+    const locked = new Set((options.locked || []).map(({ row, col }) => this.index(row, col)));
+    if (options.style === "connected") base.cells.forEach((data, i) => data && locked.add(i));
+    base.cells = base.cells.map((data, i) => (locked.has(i) ? data : null));
+
+    const targets = [];
+    const { startRow, startCol, endRow, endCol } = this.outputWindow(options.windowSize || MAX_BOARD);
+    for (let r = startRow; r < endRow; r++) {
+      for (let c = startCol; c < endCol; c++) {
+        const i = this.index(r, c);
+        if (!locked.has(i)) targets.push(i);
+      }
+    }
+
+    return generate(base, targets, seed, options);
+  }
+
+  // The active layer's cells with just `positions` regenerated (or null, as planRandomize)
+  planReroll(positions, seed, options = {}) {
+    const targets = positions.map(({ row, col }) => this.index(row, col));
+    return generate(this.layerSnapshot(), targets, seed, options);
+  }
+
+  // Both return false, leaving the board as it was, when there's no solution
+  randomize(seed, options = {}) {
+    return this.setCells(this.planRandomize(seed, options));
+  }
+
+  reroll(positions, seed, options = {}) {
+    return this.setCells(this.planReroll(positions, seed, options));
+  }
+
+  // Replaces a layer's cells with a planned set
+  setCells(cells, layerId = this.activeLayer) {
+    if (!cells || cells.length !== this.rows * this.cols) return false;
+    this.layer(layerId).cells = cells.map((data) => (data ? cellData(data) : null));
+    return true;
+  }
+
+  // ----- Output -----
+  // { svg, width, height } or null, as buildArtworkSvg
+  toSVG(options = {}) {
+    return buildArtworkSvg(this.snapshot(), options);
+  }
+
+  // Options as serializeProject: { palette, tool }
+  toProject(options = {}) {
+    return serializeProject(this.snapshot(), options);
+  }
+}
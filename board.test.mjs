@@ -0,0 +1,277 @@
+// Tests for the Board model: group transforms (pivot, auto-shift), moves, drop settings,
+// undo / redo, the output window and the connected generator.
+// Node's built-in runner, no dependencies:
+//
+//   node --test board.test.mjs
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { Board, generateConnected, tileEdges } from "./board.mjs";
+
+const shape = (shapeType, rotation = 0) => ({ shapeType, color: "#222222", rotation, mirrorX: false, mirrorY: false });
+
+// Board with the given shapes on its active layer: [[row, col, data], …]
+function boardWith(rows, cols, cells) {
+  const board = new Board(rows, cols);
+  cells.forEach(([row, col, data]) => board.set(row, col, data));
+  return board;
+}
+
+// Every filled cell of the active layer as "row,col:shapeType@rotation"
+function layout(board) {
+  const out = [];
+  for (let row = 0; row < board.rows; row++) {
+    for (let col = 0; col < board.cols; col++) {
+      const data = board.get(row, col);
+      if (data) out.push(`${row},${col}:${data.shapeType}@${data.rotation}`);
+    }
+  }
+  return out;
+}
+
+describe("group transforms", () => {
+  it("rotates the bounding box clockwise about its top-left corner", () => {
+    const board = boardWith(4, 4, [[0, 0, shape("square")], [0, 1, shape("quarter")]]);
+    const positions = [{ row: 0, col: 0 }, { row: 0, col: 1 }];
+
+    board.applyPlan(board.planTransform(positions, "rotate"));
+    assert.deepEqual(layout(board), ["0,0:square@90", "1,0:quarter@90"]);
+  });
+
+  it("comes back to the start after four quarter turns", () => {
+    const board = boardWith(4, 4, [[1, 1, shape("square")], [1, 2, shape("half", 180)], [2, 1, shape("circle")]]);
+    const before = layout(board);
+
+    // The whole 2×2 box, so the empty corner keeps its size as it turns
+    const box = [{ row: 1, col: 1 }, { row: 1, col: 2 }, { row: 2, col: 1 }, { row: 2, col: 2 }];
+    for (let turn = 0; turn < 4; turn++) board.applyPlan(board.planTransform(box, "rotate"));
+    assert.deepEqual(layout(board), before);
+  });
+
+  it("mirrors across the box and flips the cell", () => {
+    const board = boardWith(3, 3, [[0, 0, shape("triangle")], [0, 2, shape("square")]]);
+    board.applyPlan(board.planTransform([{ row: 0, col: 0 }, { row: 0, col: 2 }], "mirrorX"));
+
+    assert.equal(board.get(0, 2).shapeType, "triangle");
+    assert.equal(board.get(0, 2).mirrorX, true);
+    assert.equal(board.get(0, 0).shapeType, "square");
+  });
+
+  it("undoes a quarter turn about the centre with the opposite one", () => {
+    const board = boardWith(4, 4, [[1, 1, shape("square")], [1, 2, shape("half", 180)]]);
+    const before = layout(board);
+    const positions = [{ row: 1, col: 1 }, { row: 1, col: 2 }];
+
+    const turned = board.applyPlan(board.planTransform(positions, "rotate", { pivot: "center" }));
+    board.applyPlan(board.planTransform(turned, "rotateCCW", { pivot: "center" }));
+    assert.deepEqual(layout(board), before);
+  });
+
+  it("reports shapes that would leave the board, and slides them back with autoShift", () => {
+    const board = boardWith(3, 3, [[2, 0, shape("square")], [2, 1, shape("circle")], [2, 2, shape("half")]]);
+    const positions = [{ row: 2, col: 0 }, { row: 2, col: 1 }, { row: 2, col: 2 }];
+
+    const blocked = board.checkTransform(positions, "rotate");
+    assert.equal(blocked.plan, null);
+    assert.equal(blocked.blocked, "edge");
+    assert.deepEqual(blocked.outside, [{ row: 2, col: 1 }, { row: 2, col: 2 }]);
+
+    const shifted = board.checkTransform(positions, "rotate", { autoShift: true });
+    assert.equal(shifted.blocked, null);
+    assert.deepEqual(shifted.shift, { dRow: -2, dCol: 0 });
+  });
+
+  it("refuses a result bigger than the board even with autoShift", () => {
+    const board = boardWith(2, 3, [[0, 0, shape("square")], [0, 2, shape("square")]]);
+    const result = board.checkTransform([{ row: 0, col: 0 }, { row: 0, col: 2 }], "rotate", { autoShift: true });
+    assert.equal(result.blocked, "size");
+  });
+
+  it("has no plan when the result would leave the board, or there's nothing to turn", () => {
+    const board = boardWith(3, 3, [[2, 0, shape("square")], [2, 2, shape("half")]]);
+    assert.equal(board.planTransform([{ row: 2, col: 0 }, { row: 2, col: 2 }], "rotate"), null);
+    assert.equal(board.planTransform([{ row: 0, col: 0 }], "rotate"), null);
+  });
+});
+
+describe("moves", () => {
+  const pair = [{ row: 0, col: 0 }, { row: 0, col: 1 }];
+
+  it("moves shapes, replacing what was in the way", () => {
+    const board = boardWith(1, 4, [[0, 0, shape("square")], [0, 1, shape("circle")], [0, 2, shape("triangle")]]);
+
+    assert.deepEqual(board.applyPlan(board.planMove(pair, 0, 1)), [{ row: 0, col: 1 }, { row: 0, col: 2 }]);
+    assert.deepEqual(layout(board), ["0,1:square@0", "0,2:circle@0"]);
+  });
+
+  it("refuses a move that would take any shape off the board, or goes nowhere", () => {
+    const board = boardWith(1, 4, [[0, 0, shape("square")], [0, 1, shape("circle")]]);
+    assert.equal(board.planMove(pair, 0, 3), null);
+    assert.equal(board.planMove(pair, 0, 0), null);
+  });
+
+  it("stops at the edge with autoShift, and reports a move that can't go anywhere", () => {
+    const board = boardWith(1, 4, [[0, 0, shape("square")], [0, 1, shape("circle")]]);
+    const stopped = board.checkMove(pair, 0, 3, { autoShift: true });
+    assert.deepEqual(stopped.shift, { dRow: 0, dCol: -1 });
+    assert.deepEqual(stopped.plan.map((p) => p.destCol), [2, 3]);
+
+    assert.equal(board.checkMove([{ row: 0, col: 0 }], 0, -1, { autoShift: true }).blocked, "edge");
+    assert.equal(board.checkMove([{ row: 0, col: 3 }], 0, -1).blocked, "empty");
+  });
+});
+
+describe("drop", () => {
+  const sides = () => boardWith(1, 4, [[0, 0, shape("square")], [0, 1, shape("circle")], [0, 2, shape("triangle")]]);
+  const pair = [{ row: 0, col: 0 }, { row: 0, col: 1 }];
+
+  it("lists the shapes in the way and replaces them by default", () => {
+    const board = sides();
+    const result = board.checkMove(pair, 0, 1);
+    assert.deepEqual(result.occupied, [{ row: 0, col: 2 }]);
+
+    board.applyPlan(result.plan);
+    assert.deepEqual(layout(board), ["0,1:square@0", "0,2:circle@0"]);
+  });
+
+  it("swaps displaced shapes into the cells the selection leaves", () => {
+    const board = sides();
+    const result = board.checkMove(pair, 0, 1, { drop: "swap" });
+    assert.equal(result.plan.filter((p) => p.displaced).length, 1);
+
+    assert.deepEqual(board.applyPlan(result.plan), [{ row: 0, col: 1 }, { row: 0, col: 2 }]);
+    assert.deepEqual(layout(board), ["0,0:triangle@0", "0,1:square@0", "0,2:circle@0"]);
+  });
+
+  it("refuses the plan with drop: block", () => {
+    const board = sides();
+    const result = board.checkMove(pair, 0, 1, { drop: "block" });
+    assert.equal(result.plan, null);
+    assert.equal(result.blocked, "occupied");
+    assert.deepEqual(result.occupied, [{ row: 0, col: 2 }]);
+  });
+
+  it("resolves a plan of its own through resolveDrop", () => {
+    const board = sides();
+    const plan = [{ srcRow: 0, srcCol: 0, destRow: 0, destCol: 2, data: shape("square") }];
+    assert.deepEqual(board.resolveDrop({ plan, blocked: null }, "replace").occupied, [{ row: 0, col: 2 }]);
+    assert.equal(board.resolveDrop({ plan, blocked: null }, "block").plan, null);
+  });
+
+  it("applies to transforms too", () => {
+    const board = boardWith(2, 2, [[0, 0, shape("square")], [0, 1, shape("half")], [1, 0, shape("circle")]]);
+    const result = board.checkTransform([{ row: 0, col: 0 }], "mirrorX", { drop: "block" });
+    assert.equal(result.blocked, null);
+
+    const turned = board.checkTransform([{ row: 0, col: 0 }, { row: 0, col: 1 }], "rotate", { drop: "block" });
+    assert.equal(turned.blocked, "occupied");
+  });
+});
+
+describe("history", () => {
+  it("undoes and redoes labelled steps", () => {
+    const board = new Board(3, 3);
+    board.pushHistory("Stamp");
+    board.set(1, 1, shape("circle"));
+
+    assert.equal(board.undo(), "Stamp");
+    assert.equal(board.get(1, 1), null);
+    assert.equal(board.redo(), "Stamp");
+    assert.equal(board.get(1, 1).shapeType, "circle");
+  });
+
+  it("returns null with nothing to undo or redo, and drops redo on a new edit", () => {
+    const board = new Board(3, 3);
+    assert.equal(board.undo(), null);
+    assert.equal(board.redo(), null);
+
+    board.pushHistory("Stamp");
+    board.set(0, 0, shape("square"));
+    board.undo();
+    board.pushHistory("Clear");
+    assert.equal(board.future.length, 0);
+    assert.equal(board.redo(), null);
+  });
+
+  it("restores size and layers along with cells", () => {
+    const board = boardWith(3, 3, [[2, 2, shape("square")]]);
+    board.pushHistory("Resize");
+    board.resize(2, 2);
+    board.addLayer("Top");
+
+    board.undo();
+    assert.equal(board.rows, 3);
+    assert.equal(board.layers.length, 1);
+    assert.equal(board.get(2, 2).shapeType, "square");
+  });
+});
+
+describe("output window", () => {
+  it("is a centred square below the shorter side, and the whole board at it", () => {
+    const board = new Board(8, 12);
+    assert.deepEqual(board.outputWindow(4), { startRow: 2, startCol: 4, endRow: 6, endCol: 8 });
+    assert.deepEqual(board.outputWindow(8), { startRow: 0, startCol: 0, endRow: 8, endCol: 12 });
+  });
+
+  it("is what Randomize fills and the window crop exports", () => {
+    const board = new Board(4, 8);
+    board.randomize(7, { windowSize: 4 });
+    assert.equal(board.count(), 32);
+    assert.equal(board.toSVG({ crop: "window", windowSize: 4, cellSize: 10 }).width, 80);
+  });
+});
+
+describe("connected generator", () => {
+  // Every shared side of two shapes in `cells` (rows × cols, row-major) meets edge to edge
+  function assertEdgesMatch(cells, rows, cols) {
+    cells.forEach((data, i) => {
+      if (!data) return;
+      const row = Math.floor(i / cols);
+      const col = i % cols;
+      const right = col + 1 < cols ? cells[i + 1] : null;
+      const below = row + 1 < rows ? cells[i + cols] : null;
+      if (right) assert.equal(tileEdges(data).right, tileEdges(right).left, `${row},${col} → right`);
+      if (below) assert.equal(tileEdges(data).bottom, tileEdges(below).top, `${row},${col} → below`);
+    });
+  }
+
+  it("fills the window so neighbouring edges match", () => {
+    for (let seed = 1; seed <= 5; seed++) {
+      const board = new Board(8, 10);
+      assert.equal(board.randomize(seed, { style: "connected" }), true);
+      assert.equal(board.count(), 80);
+      assertEdgesMatch(board.layer().cells, 8, 10);
+    }
+  });
+
+  it("keeps the shapes already on the layer and fits around them", () => {
+    const board = boardWith(5, 5, [[2, 2, shape("quarter")], [0, 4, shape("stripes", 90)]]);
+    const cells = board.planRandomize(3, { style: "connected", windowSize: 5 });
+
+    assert.deepEqual(cells[12], board.get(2, 2));
+    assert.deepEqual(cells[4], board.get(0, 4));
+    assert.equal(cells.filter(Boolean).length, 25);
+    assertEdgesMatch(cells, 5, 5);
+  });
+
+  it("leaves fixed cells outside the targets as they are", () => {
+    const fixed = { ...shape("rounded", 180), color: "#ffcc00" };
+    const snap = { rows: 3, cols: 3, cells: [null, null, null, null, fixed, null, null, null, null] };
+    const { cells } = generateConnected(snap, [0, 1, 2, 3, 5, 6, 7, 8], 11);
+
+    assert.deepEqual(cells[4], fixed);
+    assertEdgesMatch(cells, 3, 3);
+  });
+
+  it("returns null when no tile can meet a fixed shape", () => {
+    // Only circles, whose sides are all empty, can't sit beside a square's full side
+    const snap = { rows: 2, cols: 2, cells: [shape("square"), null, null, null] };
+    const shapeWeights = { square: 0, rounded: 0, opposite: 0, quarter: 0, half: 0, triangle: 0, stripes: 0 };
+    assert.equal(generateConnected(snap, [1, 2, 3], 1, { shapeWeights }), null);
+
+    const board = boardWith(2, 2, [[0, 0, shape("square")]]);
+    assert.equal(board.randomize(1, { style: "connected", shapeWeights }), false);
+    assert.equal(board.count(), 1);
+  });
+});
@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+// Command-line renderer: saved projects, or seeded random boards, to SVG / PNG without a
+// browser. Built on board.mjs and raster.mjs, so the SVG is byte-for-byte the editor's
+// download and the PNG is drawn from the same shapes and transforms.
+//
+//   node cli.mjs design.json other.json --format png --scale 2
+//   node cli.mjs --random --rows 8 --cols 8 --seed 42 --count 10 --palette "#222222,#ffcc00"
+
+import { mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { basename, extname, join } from "node:path";
+import { parseArgs } from "node:util";
+import { deflateSync } from "node:zlib";
+
+import {
+  Board,
+  DEFAULT_ROWS,
+  DEFAULT_COLS,
+  HEX_COLOR,
+  MAX_BOARD,
+  MAX_PALETTE,
+  MAX_SEED,
+  MIN_BOARD,
+  isPlainObject,
+  isValidPalette,
+  newSeed,
+  parseProject,
+  parseSeed,
+} from "./board.mjs";
+import { rasterizeArtwork } from "./raster.mjs";
+
+const USAGE = `Usage:
+  node cli.mjs <project.json>... [options]
+  node cli.mjs --random [options]
+
+Output:
+  -o, --out <dir>          directory to write to (default: current directory)
+  -f, --format <svg|png>   output format (default: svg)
+      --cell <units>       SVG units per cell, 8–1000 (default: 100)
+      --crop <mode>        tight | board | window (default: tight)
+      --window <n>         output window for --crop window and --random: a centred n×n
+                           square, or the whole board when n reaches its shorter side
+                           (default: the whole board)
+      --margin <units>     outer padding, 0–1000 (default: 0)
+      --gap <units>        grout between cells, 0–500 (default: 0)
+      --background <hex>   background colour (default: transparent)
+      --scale <n>          PNG pixels per SVG unit, 1–4 (default: 1)
+      --palette <colours>  "#hex,#hex,…", "Name=#hex,…" or a JSON file (palette or project).
+                           Projects are recoloured swatch by swatch; --random draws from it.
+
+Random boards:
+      --random             generate boards instead of reading projects
+      --rows <n>, --cols <n>  board size, ${MIN_BOARD}–${MAX_BOARD} (default: ${DEFAULT_ROWS}×${DEFAULT_COLS})
+      --seed <n|text>      first seed; board n uses seed + n (default: random)
+      --count <n>          number of boards (default: 1)
+      --no-adjacent        keep neighbouring cells different colours
+      --connected          match the edges of neighbouring tiles so shapes join up
+
+  -h, --help               show this help`;
+
+const OPTIONS = {
+  out: { type: "string", short: "o", default: "." },
+  format: { type: "string", short: "f", default: "svg" },
+  cell: { type: "string" },
+  crop: { type: "string", default: "tight" },
+  window: { type: "string" },
+  margin: { type: "string" },
+  gap: { type: "string" },
+  background: { type: "string" },
+  scale: { type: "string" },
+  palette: { type: "string" },
+  random: { type: "boolean", default: false },
+  rows: { type: "string" },
+  cols: { type: "string" },
+  seed: { type: "string" },
+  count: { type: "string" },
+  "no-adjacent": { type: "boolean", default: false },
+  connected: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+const FORMATS = ["svg", "png"];
+const CROPS = ["tight", "board", "window"];
+const MAX_COUNT = 1000;
+
+// ---------- Options ----------
+function intOption(values, name, min, max, fallback) {
+  if (values[name] === undefined) return fallback;
+  const n = Number(values[name]);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    throw new Error(`--${name} must be a whole number from ${min} to ${max}.`);
+  }
+  return n;
+}
+
+// "#hex,#hex", "Name=#hex,…" or a JSON file holding a palette or a project
+function readPalette(value) {
+  if (value.trim().endsWith(".json")) {
+    let doc;
+    try {
+      doc = JSON.parse(readFileSync(value, "utf8"));
+    } catch (err) {
+      throw new Error(`couldn't read the palette "${value}": ${err.message}`);
+    }
+    const palette = isPlainObject(doc) ? doc.palette : doc;
+    if (!isValidPalette(palette)) throw new Error(`"${value}" holds no valid palette.`);
+    return palette.map(({ name, hex }) => ({ name, hex: hex.toLowerCase() }));
+  }
+
+  const palette = value.split(",").map((entry, n) => {
+    const [name, hex] = entry.includes("=") ? entry.split("=") : [`Colour ${n + 1}`, entry];
+    return { name: name.trim(), hex: hex.trim().toLowerCase() };
+  });
+  if (palette.length > MAX_PALETTE || palette.some((swatch) => !HEX_COLOR.test(swatch.hex))) {
+    throw new Error(`--palette needs 1–${MAX_PALETTE} colours written as #rrggbb.`);
+  }
+  return palette;
+}
+
+function readOptions(values) {
+  if (!FORMATS.includes(values.format)) throw new Error(`--format must be one of ${FORMATS.join(", ")}.`);
+  if (!CROPS.includes(values.crop)) throw new Error(`--crop must be one of ${CROPS.join(", ")}.`);
+  if (values.background !== undefined && !HEX_COLOR.test(values.background)) {
+    throw new Error("--background must be a colour written as #rrggbb.");
+  }
+
+  const seed = values.seed === undefined ? newSeed() : parseSeed(values.seed);
+  if (seed === null) throw new Error("--seed can't be empty.");
+
+  return {
+    out: values.out,
+    format: values.format,
+    scale: intOption(values, "scale", 1, 4, 1),
+    svg: {
+      crop: values.crop,
+      cellSize: intOption(values, "cell", 8, 1000, 100),
+      margin: intOption(values, "margin", 0, 1000, 0),
+      gap: intOption(values, "gap", 0, 500, 0),
+      background: values.background || "",
+      windowSize: intOption(values, "window", 2, MAX_BOARD, MAX_BOARD),
+    },
+    palette: values.palette === undefined ? null : readPalette(values.palette),
+    rows: intOption(values, "rows", MIN_BOARD, MAX_BOARD, DEFAULT_ROWS),
+    cols: intOption(values, "cols", MIN_BOARD, MAX_BOARD, DEFAULT_COLS),
+    seed,
+    count: intOption(values, "count", 1, MAX_COUNT, 1),
+    noAdjacentColor: values["no-adjacent"],
+    style: values.connected ? "connected" : "random",
+  };
+}
+
+// ---------- Boards ----------
+// Swatch n of the project's palette becomes swatch n of the new one; other colours stay
+function recolor(board, from, to) {
+  const map = new Map();
+  from.forEach((swatch, n) => {
+    if (to[n]) map.set(swatch.hex, to[n].hex);
+  });
+
+  board.layers.forEach((layer) => {
+    layer.cells.forEach((data) => {
+      if (data && map.has(data.color)) data.color = map.get(data.color);
+    });
+  });
+}
+
+function projectJobs(files, opts) {
+  return files.map((file) => {
+    let project;
+    try {
+      project = parseProject(readFileSync(file, "utf8"));
+    } catch (err) {
+      throw new Error(`couldn't read "${file}": ${err.message}`);
+    }
+
+    const board = Board.fromSnapshot(project.snap);
+    if (opts.palette) recolor(board, project.palette, opts.palette);
+    return { name: basename(file, extname(file)), board };
+  });
+}
+
+function randomJobs(opts) {
+  const jobs = [];
+  for (let n = 0; n < opts.count; n++) {
+    const seed = (opts.seed + n) % (MAX_SEED + 1);
+    const board = new Board(opts.rows, opts.cols);
+    const filled = board.randomize(seed, {
+      palette: opts.palette || undefined,
+      noAdjacentColor: opts.noAdjacentColor,
+      windowSize: opts.svg.windowSize,
+      style: opts.style,
+    });
+    jobs.push({ name: `shape-builder-${seed}`, board, failed: !filled });
+  }
+  return jobs;
+}
+
+// ---------- PNG ----------
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const byte of bytes) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// 8-bit RGBA, no row filters
+function encodePng({ width, height, data }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 6, 0, 0, 0], 8);
+
+  const rows = Buffer.alloc((width * 4 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    rows.set(data.subarray(y * width * 4, (y + 1) * width * 4), y * (width * 4 + 1) + 1);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", deflateSync(rows)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// ---------- Main ----------
+function render({ name, board }, opts) {
+  const file = join(opts.out, `${name}.${opts.format}`);
+
+  if (opts.format === "svg") {
+    const art = board.toSVG(opts.svg);
+    if (!art) return null;
+    writeFileSync(file, art.svg);
+  } else {
+    const image = rasterizeArtwork(board.snapshot(), opts.svg, opts.scale);
+    if (!image) return null;
+    writeFileSync(file, encodePng(image));
+  }
+  return file;
+}
+
+function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const opts = readOptions(values);
+  if (!values.random && positionals.length === 0) throw new Error("give one or more project files, or --random.");
+  if (values.random && positionals.length > 0) throw new Error("--random doesn't take project files.");
+
+  const jobs = values.random ? randomJobs(opts) : projectJobs(positionals, opts);
+  mkdirSync(opts.out, { recursive: true });
+
+  let empty = 0;
+  jobs.forEach((job) => {
+    if (job.failed) {
+      empty++;
+      console.error(`shape-builder: ${job.name} found no way to connect the tiles; skipped.`);
+      return;
+    }
+    const file = render(job, opts);
+    if (file) {
+      console.log(file);
+    } else {
+      empty++;
+      console.error(`shape-builder: ${job.name} has no artwork inside the ${opts.svg.crop} crop; skipped.`);
+    }
+  });
+  return empty ? 1 : 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  console.error(`shape-builder: ${err.message}`);
+  console.error('Run "node cli.mjs --help" for usage.');
+  process.exitCode = 2;
+}
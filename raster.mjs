@@ -0,0 +1,259 @@
+// PNG-ready rasterizer for Node, where there's no canvas to draw the SVG on.
+// Paints the same layout (artworkLayout) and the same shape elements (SHAPES) that
+// buildArtworkSvg writes, with the same per-cell transform, so a PNG matches the SVG
+// download. Shapes are flattened to polygons and filled with 4× vertical supersampling
+// and exact horizontal coverage. No DOM or Node APIs; cli.mjs does the PNG encoding.
+
+import { SHAPES } from "./shapes.mjs";
+import { artworkLayout } from "./board.mjs";
+
+const SUBSAMPLES = 4; // sub-scanlines per pixel row
+const CURVE_STEPS = 16; // segments per curve or arc
+
+// ---------- Geometry ----------
+// Path data as SHAPES writes it: absolute M, H, V, L, Q, A and Z
+function pathPolygons(d) {
+  const tokens = d.match(/[a-zA-Z]|-?\d*\.?\d+(?:e[-+]?\d+)?/g) || [];
+  const polygons = [];
+  let points = [];
+  let x = 0;
+  let y = 0;
+  let i = 0;
+
+  const next = () => Number(tokens[i++]);
+
+  while (i < tokens.length) {
+    const command = tokens[i++];
+
+    if (command === "M") {
+      if (points.length) polygons.push(points);
+      x = next();
+      y = next();
+      points = [[x, y]];
+    } else if (command === "L") {
+      x = next();
+      y = next();
+      points.push([x, y]);
+    } else if (command === "H") {
+      x = next();
+      points.push([x, y]);
+    } else if (command === "V") {
+      y = next();
+      points.push([x, y]);
+    } else if (command === "Q") {
+      const [qx, qy, ex, ey] = [next(), next(), next(), next()];
+      for (let k = 1; k <= CURVE_STEPS; k++) {
+        const t = k / CURVE_STEPS;
+        const u = 1 - t;
+        points.push([u * u * x + 2 * u * t * qx + t * t * ex, u * u * y + 2 * u * t * qy + t * t * ey]);
+      }
+      x = ex;
+      y = ey;
+    } else if (command === "A") {
+      const [rx, ry, , largeArc, sweep, ex, ey] = [next(), next(), next(), next(), next(), next(), next()];
+      points.push(...arcPoints(x, y, rx, ry, largeArc, sweep, ex, ey));
+      x = ex;
+      y = ey;
+    } else if (command === "Z" || command === "z") {
+      if (points.length) polygons.push(points);
+      points = [];
+    } else {
+      throw new Error(`unsupported path command "${command}".`);
+    }
+  }
+
+  if (points.length) polygons.push(points);
+  return polygons;
+}
+
+// SVG endpoint arc → points after the start (x-axis rotation is always 0 in SHAPES)
+function arcPoints(x1, y1, rx, ry, largeArc, sweep, x2, y2) {
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+
+  // Radii too small for the endpoints are scaled up, as browsers do
+  const scale = Math.max(1, Math.sqrt((dx * dx) / (rx * rx) + (dy * dy) / (ry * ry)));
+  rx *= scale;
+  ry *= scale;
+
+  const sign = largeArc === sweep ? -1 : 1;
+  const num = rx * rx * ry * ry - rx * rx * dy * dy - ry * ry * dx * dx;
+  const den = rx * rx * dy * dy + ry * ry * dx * dx;
+  const factor = sign * Math.sqrt(Math.max(0, num / den));
+  const cx = factor * ((rx * dy) / ry) + (x1 + x2) / 2;
+  const cy = factor * (-(ry * dx) / rx) + (y1 + y2) / 2;
+
+  const start = Math.atan2((y1 - cy) / ry, (x1 - cx) / rx);
+  let delta = Math.atan2((y2 - cy) / ry, (x2 - cx) / rx) - start;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+
+  const points = [];
+  for (let k = 1; k <= CURVE_STEPS; k++) {
+    const angle = start + (delta * k) / CURVE_STEPS;
+    points.push([cx + rx * Math.cos(angle), cy + ry * Math.sin(angle)]);
+  }
+  return points;
+}
+
+function elementPolygons(tag, attrs) {
+  if (tag === "rect") {
+    const { x, y, width, height } = attrs;
+    return [[[x, y], [x + width, y], [x + width, y + height], [x, y + height]]];
+  }
+  if (tag === "circle") {
+    const { cx, cy, r } = attrs;
+    const points = [];
+    for (let k = 0; k < CURVE_STEPS * 4; k++) {
+      const angle = (k / (CURVE_STEPS * 4)) * 2 * Math.PI;
+      points.push([cx + r * Math.cos(angle), cy + r * Math.sin(angle)]);
+    }
+    return [points];
+  }
+  if (tag === "path") return pathPolygons(attrs.d);
+  throw new Error(`unsupported element <${tag}>.`);
+}
+
+// translate(x y) translate(c c) rotate(a) scale(sx sy) translate(-c -c), then the pixel scale
+function cellMatrix(x, y, cellSize, data, scale) {
+  const c = cellSize / 2;
+  const rad = (data.rotation * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const sx = data.mirrorX ? -1 : 1;
+  const sy = data.mirrorY ? -1 : 1;
+
+  return ([px, py]) => {
+    const lx = (px - c) * sx;
+    const ly = (py - c) * sy;
+    return [(x + c + lx * cos - ly * sin) * scale, (y + c + lx * sin + ly * cos) * scale];
+  };
+}
+
+// ---------- Fill ----------
+// Adds the polygons' coverage (0..1 per pixel, non-zero winding) to `coverage`; returns the
+// pixel box it touched so painting only walks that
+function fillPolygons(polygons, coverage, width, height) {
+  const edges = [];
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+
+  polygons.forEach((points) => {
+    points.forEach(([x1, y1], k) => {
+      const [x2, y2] = points[(k + 1) % points.length];
+      minX = Math.min(minX, x1);
+      maxX = Math.max(maxX, x1);
+      minY = Math.min(minY, y1);
+      maxY = Math.max(maxY, y1);
+      if (y1 !== y2) edges.push({ x1, y1, x2, y2, dir: y2 > y1 ? 1 : -1 });
+    });
+  });
+
+  const firstRow = Math.max(0, Math.floor(minY));
+  const lastRow = Math.min(height - 1, Math.ceil(maxY));
+  const box = { x0: Math.max(0, Math.floor(minX)), x1: Math.min(width, Math.ceil(maxX) + 1), y0: firstRow, y1: lastRow + 1 };
+
+  for (let row = firstRow; row <= lastRow; row++) {
+    for (let s = 0; s < SUBSAMPLES; s++) {
+      const sy = row + (s + 0.5) / SUBSAMPLES;
+
+      const crossings = [];
+      edges.forEach(({ x1, y1, x2, y2, dir }) => {
+        if ((sy < y1) === (sy < y2)) return;
+        crossings.push({ x: x1 + ((sy - y1) * (x2 - x1)) / (y2 - y1), dir });
+      });
+      crossings.sort((a, b) => a.x - b.x);
+
+      let winding = 0;
+      crossings.forEach(({ x, dir }, k) => {
+        winding += dir;
+        if (winding !== 0 && k + 1 < crossings.length) addSpan(coverage, row * width, width, x, crossings[k + 1].x);
+      });
+    }
+  }
+
+  return box;
+}
+
+function addSpan(coverage, offset, width, x0, x1) {
+  const start = Math.max(0, x0);
+  const end = Math.min(width, x1);
+  for (let px = Math.floor(start); px < end; px++) {
+    const overlap = Math.min(end, px + 1) - Math.max(start, px);
+    if (overlap > 0) coverage[offset + px] += overlap / SUBSAMPLES;
+  }
+}
+
+function hexRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+// Source-over in premultiplied floats over the box; the box's coverage is reset for the next fill
+function paint(target, coverage, width, box, [r, g, b]) {
+  for (let y = box.y0; y < box.y1; y++) {
+    for (let x = box.x0; x < box.x1; x++) {
+      const i = y * width + x;
+      const a = Math.min(1, coverage[i]);
+      coverage[i] = 0;
+      if (a <= 0) continue;
+
+      const p = i * 4;
+      target[p] = r * a + target[p] * (1 - a);
+      target[p + 1] = g * a + target[p + 1] * (1 - a);
+      target[p + 2] = b * a + target[p + 2] * (1 - a);
+      target[p + 3] = a + target[p + 3] * (1 - a);
+    }
+  }
+}
+
+// ---------- Artwork ----------
+// { width, height, data } with `data` as 8-bit straight RGBA rows (canvas ImageData layout),
+// or null when there's nothing to draw. `scale` is pixels per SVG unit.
+export function rasterizeArtwork(snap, options = {}, scale = 1) {
+  const layout = artworkLayout(snap, options);
+  if (!layout) return null;
+
+  const width = Math.round(layout.width * scale);
+  const height = Math.round(layout.height * scale);
+  const image = new Float32Array(width * height * 4);
+  const coverage = new Float32Array(width * height);
+
+  if (layout.background) {
+    coverage.fill(1);
+    paint(image, coverage, width, { x0: 0, x1: width, y0: 0, y1: height }, hexRgb(layout.background));
+  }
+
+  // Each layer is flattened on its own first so its opacity applies to it as a group, like <g opacity>
+  layout.layers.forEach((layer) => {
+    const layerImage = new Float32Array(width * height * 4);
+
+    layer.items.forEach(({ x, y, data }) => {
+      const toPixels = cellMatrix(x, y, layout.cellSize, data, scale);
+      const shape = SHAPES[data.shapeType] || SHAPES.square;
+
+      shape.elements(layout.cellSize).forEach(([tag, attrs]) => {
+        const polygons = elementPolygons(tag, attrs).map((points) => points.map(toPixels));
+        paint(layerImage, coverage, width, fillPolygons(polygons, coverage, width, height), hexRgb(data.color));
+      });
+    });
+
+    for (let i = 0; i < image.length; i += 4) {
+      const a = layerImage[i + 3] * layer.opacity;
+      if (a <= 0) continue;
+      for (let k = 0; k < 3; k++) image[i + k] = layerImage[i + k] * layer.opacity + image[i + k] * (1 - a);
+      image[i + 3] = a + image[i + 3] * (1 - a);
+    }
+  });
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    const a = image[i + 3];
+    if (a <= 0) continue;
+    data[i] = image[i] / a;
+    data[i + 1] = image[i + 1] / a;
+    data[i + 2] = image[i + 2] / a;
+    data[i + 3] = a * 255;
+  }
+
+  return { width, height, data };
+}
@@ -1,23 +1,168 @@
 // Shape Builder (updated)
-// - 5x5 board, fixed
-// - Output size (2–5) controls a centered window used by Randomize
-// - Randomize fills ALL cells in the chosen output window (no empties)
-// - Select mode supports single + multi-select
+// - Board size configurable (rows × cols, 2–32); resize keeps artwork and is undoable
+// - Output size (2 up to the board's shorter side) controls a centered window used by Randomize;
+//   the largest size is the whole rows × cols board
+// - Randomize fills ALL cells in the chosen output window (no empties) from a seeded PRNG; the seed
+//   is shown and editable, shapes/colours/rotations are weighted, adjacent colours can be kept
+//   apart, selected cells can be locked, the selection can be re-rolled, and a batch of
+//   variations can be previewed as thumbnails
+// - Select mode supports single + multi-select: Shift/Ctrl-click toggles, drag on empty cells draws a
+//   marquee, and "Same colour"/"Same shape" grow the selection from the anchor
 // - Select all enables rotate/mirror/delete for the whole selection
-// - Rotate/mirror apply as GROUP transforms (positions + orientations)
+// - Rotate/mirror apply as GROUP transforms (positions + orientations): 90° either way or 180°,
+//   about the block's top-left or its centre, optionally shifted back onto the board; a blocked
+//   transform or move says why and flashes the shapes that would leave
+// - Drop setting for moves and transforms onto other shapes: replace them, swap them into the
+//   cells the selection leaves, or refuse; dragging previews which shapes would be hit
+// - Repeat tiles the selected block across the board / output window (straight, brick, half-drop,
+//   alternating rotate/mirror); Fill mode flood-fills a connected empty region with the stamp
+// - Symmetry (mirror ↔, mirror ↕, both axes, 4-way rotational) stamps the mirrored/rotated
+//   counterparts about the board centre in one undo step; the axes are drawn over the grid
+// - Stamp orientation: R / F / V turn the stamp (shown on the shape tiles and as a hover ghost);
+//   clicking a filled cell in Stamp mode turns that shape 90° instead of replacing it
+// - Press-and-drag paints in Stamp mode and erases in Erase mode (one undo step per stroke);
+//   the Eyedropper (or Alt-click while stamping) picks a cell's shape, colour and orientation
+// - Layers: ordered layers, each a full grid of cells, with add/remove/reorder/hide/lock/opacity;
+//   stamping and selection act on the active layer, exports emit one <g> per layer
 // - Rounded corner increased by +5px (now 60px on a 100px cell)
-// - Drag moves selection; out-of-bounds blocks move
-// - Export tight-cropped SVG of used bounds
+// - Drag moves selection with a ghost of every shape at its destination (invalid drops drawn
+//   in red); out-of-bounds blocks move; Escape cancels the drag
+// - Keyboard: ARIA grid with roving focus, arrows move focus, Shift+arrows nudge the selection,
+//   Enter/Space stamp or select, R/F/V/Delete edit, 1–5 switch mode; changes are announced
+// - Copy / cut / paste / duplicate selections (also via the system clipboard as JSON);
+//   paste shows a ghost that follows the pointer and commits on click
+// - Export SVG / PNG / JPEG / WebP with cell size, margin, gap, background and crop
+//   (tight / full board / output window); options are remembered
+// - Save/Open projects as versioned JSON (validated on load)
+// - Import SVGs produced by Download back onto the grid
+// - Autosave (board + undo stack) to localStorage with recovery on load; named local drafts
+// - Labelled undo/redo history with a jump-to-step list and Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y
+// - Editable colour palette (add/remove/reorder/edit) with named presets; Randomize draws from it
+// - Shape registry: each tile is defined once as SVG and drives the grid, picker, Randomize, export and import
+// - Headless model: the board (layers, cells, history, transforms, moves, Randomize, SVG and
+//   project output) is a DOM-free Board in board.mjs that the grid renders from (see README)
+// - Connected Randomize: tiles are picked so neighbouring edges meet (Wang tiles), turning rounded
+//   corners and bands into continuous forms; existing shapes are kept as fixed constraints
+// - Copy link packs the design into the URL hash (share.mjs); opening such a link loads it
+
+import {
+  Board,
+  CELL_PX,
+  DEFAULT_PALETTE,
+  HEX_COLOR,
+  MAX_BOARD,
+  MAX_LAYERS,
+  MAX_LAYER_NAME,
+  MAX_PALETTE,
+  MAX_SEED,
+  MIN_BOARD,
+  MIN_OUTPUT,
+  ROTATIONS,
+  SHAPES,
+  SHAPE_TYPES,
+  buildArtworkSvg,
+  clampInt,
+  isPlainObject,
+  isValidPalette,
+  isValidSnapshot,
+  newSeed,
+  normalizeAngle,
+  normalizeSnapshot,
+  num,
+  parseProject,
+  parseSeed,
+  positionBounds,
+  readProject,
+  shapeSvg,
+  transformCell,
+  validateCellData,
+  weightOf,
+  withLayerCells,
+} from "./board.mjs";
+import { decodeShareHash, encodeShareHash, isShareHash } from "./share.mjs";
 
 (() => {
   // ---------- Constants ----------
-  const GRID_SIZE = 5;
-  const CELL_PX = 100;
+  // Board, palette, layer and project limits live in board.mjs
+  const DEFAULT_PALETTE_NAME = "Default";
+
+  // Random generator
+  const RANDOM_KEY = "shape-builder:random";
+  const RANDOM_STYLES = ["random", "connected"];
+  const MAX_WEIGHT = 10;
+  const MIN_BATCH = 2;
+  const MAX_BATCH = 12;
+  const DEFAULT_RANDOM_OPTIONS = {
+    seed: 0,
+    shapeWeights: {},
+    colorWeights: {},
+    rotationWeights: {},
+    style: "random",
+    noAdjacentColor: false,
+    lockSelected: false,
+    batch: 6,
+  };
+  const VARIATION_THUMB_OPTIONS = { crop: "board", cellSize: 12, margin: 2, gap: 0, background: "#ffffff" };
+
+  const AUTOSAVE_KEY = "shape-builder:autosave";
+  const DRAFTS_KEY = "shape-builder:drafts";
+  const PALETTES_KEY = "shape-builder:palettes";
+  const EXPORT_KEY = "shape-builder:export";
+  const AUTOSAVE_DELAY_MS = 600;
+  const AUTOSAVE_HISTORY_LIMIT = 30;
+
+  const EXPORT_FORMATS = {
+    svg: { mime: "image/svg+xml", ext: "svg" },
+    png: { mime: "image/png", ext: "png" },
+    jpeg: { mime: "image/jpeg", ext: "jpg" },
+    webp: { mime: "image/webp", ext: "webp" },
+  };
+
+  const DEFAULT_EXPORT_OPTIONS = {
+    format: "svg", // key of EXPORT_FORMATS
+    scale: 1, // raster pixels per SVG unit
+    crop: "tight", // "tight" | "board" | "window"
+    cellSize: CELL_PX, // SVG units per cell
+    margin: 0, // outer padding around the artwork
+    gap: 0, // grout between neighbouring cells
+    background: "", // hex, or "" for transparent
+  };
+  const EXPORT_CROPS = ["tight", "board", "window"];
 
-  // Was ~55px (0.55 * 100). Increased by +5px per request.
-  const ROUND_PX = 60;
+  const CLIPBOARD_FORMAT = "shape-builder/clipboard";
+  const CLIPBOARD_VERSION = 1;
 
-  const COLORS = { blue: "#6396fc", yellow: "#ffdd35" };
+  const TRANSFORM_LABELS = {
+    rotate: "Rotate",
+    rotateCCW: "Rotate ↺",
+    rotate180: "Rotate 180°",
+    mirrorX: "Mirror ↔",
+    mirrorY: "Mirror ↕",
+  };
+  const BLOCKED_FLASH_MS = 900;
+  const DROP_MODES = ["replace", "swap", "block"];
+
+  const MODES = ["stamp", "fill", "select", "erase", "pick"];
+  const MODE_LABELS = { stamp: "Stamp", fill: "Fill", select: "Select", erase: "Erase", pick: "Eyedropper" };
+
+  // Transforms applied to every other repeat; i/j are the repeat's column/row index
+  const REPEAT_VARIATIONS = {
+    none: () => [],
+    rotate: (i, j) => ((i + j) % 2 ? ["rotate180"] : []),
+    mirrorX: (i) => (i % 2 ? ["mirrorX"] : []),
+    mirrorY: (i, j) => (j % 2 ? ["mirrorY"] : []),
+    mirrorXY: (i, j) => [...(i % 2 ? ["mirrorX"] : []), ...(j % 2 ? ["mirrorY"] : [])],
+  };
+  const REPEAT_LAYOUTS = ["straight", "brick", "halfDrop"];
+
+  // Extra images stamped about the board centre for each symmetry mode
+  const SYMMETRY_IMAGES = {
+    none: [],
+    horizontal: ["mirrorX"],
+    vertical: ["mirrorY"],
+    both: ["mirrorX", "mirrorY", "rotate180"],
+    rotational: ["rotate", "rotate180", "rotateCCW"],
+  };
 
   // ---------- DOM ----------
   const gridEl = document.getElementById("grid");
@@ -26,38 +171,129 @@
   const modeBar = document.querySelector(".mode-bar");
   const shapeGroup = document.querySelector('[aria-label="Shape"]');
   const colorGroup = document.querySelector('[aria-label="Colour"]');
+  const swatchPicker = document.getElementById("swatch-picker");
+  const swatchHex = document.getElementById("swatch-hex");
+  const presetSelect = document.getElementById("palette-preset");
   const outputRow = document.querySelector(".output-row");
+  const rowsInput = document.getElementById("board-rows");
+  const colsInput = document.getElementById("board-cols");
   const editPanel = document.querySelector('[aria-label="Edit tools"]');
+  const projectInput = document.getElementById("project-file");
+  const svgInput = document.getElementById("svg-file");
+  const draftNameInput = document.getElementById("draft-name");
+  const draftList = document.getElementById("draft-list");
+  const historyList = document.getElementById("history-list");
+  const announcer = document.getElementById("announcer");
+  const transformPivot = document.getElementById("transform-pivot");
+  const transformShift = document.getElementById("transform-shift");
+  const editNote = document.getElementById("edit-note");
+  const dropModeSelect = document.getElementById("drop-mode");
+  const repeatLayout = document.getElementById("repeat-layout");
+  const repeatVariation = document.getElementById("repeat-variation");
+  const repeatRegion = document.getElementById("repeat-region");
+  const symmetrySelect = document.getElementById("symmetry-mode");
+  const layerList = document.getElementById("layer-list");
+  const layerOpacity = document.getElementById("layer-opacity");
+
+  const seedInput = document.getElementById("random-seed");
+  const randomDialog = document.getElementById("random-dialog");
+  const randomShapeWeights = document.getElementById("random-shape-weights");
+  const randomColorWeights = document.getElementById("random-color-weights");
+  const randomRotationWeights = document.getElementById("random-rotation-weights");
+  const randomStyle = document.getElementById("random-style");
+  const randomNoAdjacent = document.getElementById("random-no-adjacent");
+  const randomLock = document.getElementById("random-lock");
+  const randomBatch = document.getElementById("random-batch");
+  const randomVariations = document.getElementById("random-variations");
+  const exportDialog = document.getElementById("export-dialog");
+  const exportFormat = document.getElementById("export-format");
+  const exportScale = document.getElementById("export-scale");
+  const exportCrop = document.getElementById("export-crop");
+  const exportCell = document.getElementById("export-cell");
+  const exportMargin = document.getElementById("export-margin");
+  const exportGap = document.getElementById("export-gap");
+  const exportBgOn = document.getElementById("export-bg-on");
+  const exportBg = document.getElementById("export-bg");
+  const exportSize = document.getElementById("export-size");
 
   // ---------- State ----------
   const state = {
-    mode: "stamp", // "stamp" | "select"
-    shapeType: "square", // "square" | "rounded"
-    color: COLORS.blue,
-    outputSize: 5, // 2..5
+    mode: "stamp", // "stamp" | "fill" | "select" | "erase" | "pick"
+    symmetry: "none", // key of SYMMETRY_IMAGES
+    shapeType: "square", // one of SHAPE_TYPES (the registry in shapes.mjs)
+    color: DEFAULT_PALETTE[0].hex,
+    stampOrientation: { rotation: 0, mirrorX: false, mirrorY: false },
+    palette: DEFAULT_PALETTE.map((swatch) => ({ ...swatch })), // [{ name, hex }]
+    paletteName: DEFAULT_PALETTE_NAME,
+    swatch: 0, // index of the active swatch, -1 if state.color isn't in the palette
+    outputSize: 5, // 2..min(rows, cols)
     selected: new Set(), // Set<cellEl>
     anchor: null, // primary selected cell
-    history: [],
+    exportOptions: { ...DEFAULT_EXPORT_OPTIONS },
+    randomOptions: { ...DEFAULT_RANDOM_OPTIONS },
+    clipboard: null, // { rows, cols, items: [{ row, col, data }] } relative to the copied block
+    paste: null, // { block, at: { row, col } | null } while a paste ghost follows the pointer
   };
 
-  const cells = [];
+  // The artwork itself (size, layers, cells, undo stack); the grid below renders it
+  const board = new Board();
+
+  const cells = []; // cell elements, row-major; rebuilt when the board size changes
+  let gridRows = 0;
+  let gridCols = 0;
+
+  // Autosave
+  let autosaveTimer = null;
+
+  // Layers
+  let opacityBefore = null; // layer opacity when the current slider drag started
 
   // Drag
   let isDragging = false;
+  let dragFrom = null; // the selected cell the drag started on
   let currentDropCell = null;
+  let dropPreviewCells = []; // shapes the current drop would overwrite or swap
+  let dropAt = null; // { row, col } the drag was last previewed at (may be off the board)
 
-  // ---------- Utilities ----------
-  const clampInt = (n, min, max) => Math.max(min, Math.min(max, n | 0));
+  // Paint / erase strokes
+  let stroke = null; // { start, last, painted: Set, moved, started }
+
+  // Marquee (rubber-band) selection
+  let marquee = null; // { start, end, additive, moved }
+  let marqueeEl = null;
+  let ghostEl = null;
+  let symmetryEl = null;
+  let hoverCell = null; // cell under the pointer in Stamp mode (for the stamp preview)
 
+  // Keyboard focus (roving tabindex): index into `cells`
+  let focusIndex = 0;
+  let suppressClick = false; // swallow the click that ends a marquee drag
+
+  // ---------- Utilities ----------
   function setActiveWithin(container, predicate) {
     if (!container) return;
     container.querySelectorAll("button").forEach((b) => {
-      b.classList.toggle("is-active", !!predicate(b));
+      const active = !!predicate(b);
+      b.classList.toggle("is-active", active);
+      b.setAttribute("aria-pressed", String(active));
     });
   }
 
   function getCellIndex(row, col) {
-    return row * GRID_SIZE + col;
+    return board.index(row, col);
+  }
+
+  function inBounds(row, col) {
+    return board.inBounds(row, col);
+  }
+
+  function maxOutputSize() {
+    return Math.min(board.rows, board.cols);
+  }
+
+  // The largest output size is the whole board, which needn't be square (see getOutputWindow)
+  function outputLabel(n) {
+    return n >= maxOutputSize() ? `${board.rows}×${board.cols}` : `${n}×${n}`;
   }
 
   function getCellRC(cell) {
@@ -67,100 +303,345 @@
     };
   }
 
-  function hasShape(cell) {
-    return !!cell.querySelector(".shape");
+  // Each layer with a shape in this cell has its own .shape node
+  function shapeNode(cell, layerId) {
+    return cell.querySelector(`.shape[data-layer-id="${layerId}"]`);
   }
 
-  function readCellData(cell) {
-    const node = cell.querySelector(".shape");
-    if (!node) return null;
+  function hasShape(cell) {
+    return !!readCellData(cell);
+  }
 
-    return {
-      shapeType: node.dataset.shapeType || "square",
-      color: node.dataset.color || COLORS.blue,
-      rotation: parseInt(node.dataset.rotation || "0", 10) || 0,
-      mirrorX: node.dataset.mirrorX === "true",
-      mirrorY: node.dataset.mirrorY === "true",
-    };
+  function readCellData(cell, layerId = board.activeLayer) {
+    const { row, col } = getCellRC(cell);
+    return board.get(row, col, layerId);
   }
 
   function applyShapeStyles(node, data) {
-    node.style.backgroundColor = data.color;
+    // The viewBox scales the drawing with the on-screen cell size
+    node.innerHTML = shapeSvg(data.shapeType, data.color);
 
-    if (data.shapeType === "rounded") {
-      node.style.borderRadius = `0 ${ROUND_PX}px 0 0`; // top-right rounded
-    } else {
-      node.style.borderRadius = "0";
-    }
+    node.style.transform = shapeTransform(data);
+  }
 
+  function shapeTransform(data) {
     const sx = data.mirrorX ? -1 : 1;
     const sy = data.mirrorY ? -1 : 1;
-    node.style.transform = `rotate(${data.rotation}deg) scaleX(${sx}) scaleY(${sy})`;
+    return `rotate(${data.rotation}deg) scaleX(${sx}) scaleY(${sy})`;
   }
 
-  function writeCellData(cell, data) {
-    if (!data) {
-      const existing = cell.querySelector(".shape");
-      if (existing) existing.remove();
-      return;
-    }
+  function writeCellData(cell, data, layerId = board.activeLayer) {
+    const { row, col } = getCellRC(cell);
+    board.set(row, col, data, layerId);
+    renderCell(cell);
+  }
 
-    let node = cell.querySelector(".shape");
-    if (!node) {
-      node = document.createElement("div");
-      node.className = "shape";
-      cell.appendChild(node);
+  function countFilled() {
+    return board.count();
+  }
+
+  // ---------- Rendering ----------
+  // One .shape node per layer with a shape in the cell, in layer order so higher layers paint
+  // on top. Nodes are reused and only redrawn when their shape changes.
+  function renderCell(cell) {
+    const { row, col } = getCellRC(cell);
+    const nodes = [];
+
+    board.layers.forEach((layer) => {
+      const data = board.get(row, col, layer.id);
+      if (!data) return;
+
+      let node = shapeNode(cell, layer.id);
+      if (!node) {
+        node = document.createElement("div");
+        node.className = "shape";
+        node.dataset.layerId = String(layer.id);
+      }
+
+      const attrs = {
+        shapeType: data.shapeType,
+        color: data.color,
+        rotation: String(data.rotation),
+        mirrorX: String(data.mirrorX),
+        mirrorY: String(data.mirrorY),
+      };
+      if (Object.keys(attrs).some((key) => node.dataset[key] !== attrs[key])) {
+        Object.assign(node.dataset, attrs);
+        applyShapeStyles(node, data);
+      }
+
+      node.hidden = !layer.visible;
+      node.style.opacity = layer.opacity < 1 ? String(layer.opacity) : "";
+      nodes.push(node);
+    });
+
+    cell.replaceChildren(...nodes);
+    updateCellLabel(cell);
+  }
+
+  // Brings the grid in line with the board: rebuilt when the size changed, then every cell redrawn
+  function renderBoard() {
+    if (board.rows !== gridRows || board.cols !== gridCols) {
+      // Keep "whole board" output selected when the board grows
+      const wasFullOutput = state.outputSize === Math.min(gridRows, gridCols);
+      state.outputSize = wasFullOutput
+        ? maxOutputSize()
+        : clampInt(state.outputSize, MIN_OUTPUT, maxOutputSize());
+
+      clearDropTarget();
+      buildGrid();
+      renderOutputButtons();
+      syncBoardInputs();
     }
 
-    node.dataset.shapeType = data.shapeType;
-    node.dataset.color = data.color;
-    node.dataset.rotation = String(data.rotation);
-    node.dataset.mirrorX = String(!!data.mirrorX);
-    node.dataset.mirrorY = String(!!data.mirrorY);
+    cells.forEach(renderCell);
+    gridEl.classList.toggle("is-layer-locked", !layerEditable());
+  }
+
+  // ---------- History ----------
+  function pushHistory(label) {
+    board.pushHistory(label);
 
-    applyShapeStyles(node, data);
+    // Callers mutate right after pushing, so the debounced save and list see the new board
+    scheduleAutosave();
+    renderHistory();
   }
 
-  function countFilled() {
-    let n = 0;
-    for (const c of cells) if (hasShape(c)) n++;
-    return n;
+  function restoreSnapshot(snap) {
+    board.restore(snap);
+    renderRestored();
   }
 
-  function getCenteredWindow(size) {
-    const s = clampInt(size, 2, 5);
-    const startRow = Math.floor((GRID_SIZE - s) / 2);
-    const startCol = Math.floor((GRID_SIZE - s) / 2);
-    return { startRow, startCol, endRow: startRow + s, endCol: startCol + s };
+  // After the board was replaced wholesale (restore, undo, redo)
+  function renderRestored() {
+    renderBoard();
+    renderLayers();
+    clearSelection();
   }
 
-  // ---------- History ----------
-  function snapshot() {
-    return cells.map((cell) => {
-      const data = readCellData(cell);
-      return data ? { ...data } : null;
-    });
+  // ---------- Layers ----------
+  // Layers are ordered bottom → top; tools read and write the active layer only
+  function activeLayer() {
+    return board.layer();
   }
 
-  function pushHistory() {
-    state.history.push(snapshot());
-    if (state.history.length > 100) state.history.shift();
+  function layerEditable() {
+    const layer = activeLayer();
+    return !!layer && layer.visible && !layer.locked;
   }
 
-  function restoreSnapshot(snap) {
-    cells.forEach((cell, i) => writeCellData(cell, snap[i]));
+  // Edits to a hidden or locked layer are refused (and announced) rather than applied unseen
+  function canEditLayer() {
+    if (layerEditable()) return true;
+    const layer = activeLayer();
+    if (layer) announce(`${layer.name} is ${layer.locked ? "locked" : "hidden"}.`);
+    return false;
+  }
+
+  function setActiveLayer(id) {
+    if (!board.setActiveLayer(id)) return;
+    cancelPaste();
     clearSelection();
+    renderBoard();
+    renderLayers();
+    announce(`${activeLayer().name} active.`);
+  }
+
+  function addLayer() {
+    if (board.layers.length >= MAX_LAYERS) return;
+
+    pushHistory("Add layer");
+    // New layers go directly above the active one
+    setActiveLayer(board.addLayer().id);
+  }
+
+  function removeLayer() {
+    const layer = activeLayer();
+    if (!layer || board.layers.length <= 1) return;
+
+    const count = board.count(layer.id);
+    if (count > 0 && !confirm(`Delete "${layer.name}" and its ${count} shape(s)?`)) return;
+
+    pushHistory("Delete layer");
+    board.removeLayer(layer.id);
+    setActiveLayer(board.activeLayer);
+  }
+
+  // delta +1 moves the active layer up (towards the front)
+  function moveLayer(delta) {
+    const target = board.layerIndex(board.activeLayer) + delta;
+    if (target < 0 || target >= board.layers.length) return;
+
+    pushHistory(delta > 0 ? "Raise layer" : "Lower layer");
+    board.moveLayer(board.activeLayer, delta);
+    renderBoard();
+    renderLayers();
+  }
+
+  function renameLayer() {
+    const layer = activeLayer();
+    if (!layer) return;
+
+    const name = (prompt("Layer name", layer.name) || "").trim().slice(0, MAX_LAYER_NAME);
+    if (!name || name === layer.name) return;
+
+    pushHistory("Rename layer");
+    layer.name = name;
+    cells.forEach(updateCellLabel);
+    renderLayers();
+  }
+
+  // key: "visible" | "locked"
+  function toggleLayer(id, key) {
+    const layer = board.layer(id);
+    if (!layer) return;
+
+    const labels = key === "visible" ? ["Hide layer", "Show layer"] : ["Unlock layer", "Lock layer"];
+    pushHistory(labels[layer[key] ? 0 : 1]);
+    layer[key] = !layer[key];
+
+    if (id === board.activeLayer && !layerEditable()) clearSelection();
+    renderBoard();
+    renderLayers();
+  }
+
+  // Live while dragging; one history step when the slider is released
+  function setLayerOpacity(percent, commit) {
+    const layer = activeLayer();
+    if (!layer) return;
+
+    const opacity = clampInt(percent, 0, 100) / 100;
+    if (opacityBefore === null) opacityBefore = layer.opacity;
+
+    if (commit) {
+      const next = opacity;
+      layer.opacity = opacityBefore;
+      opacityBefore = null;
+      if (next === layer.opacity) return;
+      pushHistory("Layer opacity");
+      layer.opacity = next;
+    } else {
+      layer.opacity = opacity;
+    }
+
+    renderBoard();
+  }
+
+  function layerToggle(layer, key) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "layer-toggle";
+    btn.dataset.layerToggle = key;
+    btn.dataset.layerId = String(layer.id);
+    btn.textContent = key === "visible" ? (layer.visible ? "Hide" : "Show") : (layer.locked ? "Unlock" : "Lock");
+    btn.setAttribute("aria-label", `${btn.textContent} ${layer.name}`);
+    return btn;
+  }
+
+  // Listed top layer first, like the stacking on screen
+  function renderLayers() {
+    if (layerList) {
+      layerList.innerHTML = "";
+
+      board.layers.slice().reverse().forEach((layer) => {
+        const isActive = layer.id === board.activeLayer;
+
+        const item = document.createElement("li");
+        item.className = "layer-item";
+        item.classList.toggle("is-active", isActive);
+        item.classList.toggle("is-hidden", !layer.visible);
+
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "layer-btn";
+        btn.dataset.layerSelect = String(layer.id);
+        btn.textContent = layer.name + (layer.locked ? " 🔒" : "");
+        btn.setAttribute("aria-pressed", String(isActive));
+
+        item.append(btn, layerToggle(layer, "visible"), layerToggle(layer, "locked"));
+        layerList.appendChild(item);
+      });
+    }
+
+    const layer = activeLayer();
+    if (layerOpacity && layer) layerOpacity.value = String(Math.round(layer.opacity * 100));
+
+    const index = board.layerIndex(board.activeLayer);
+    document.querySelectorAll("[data-layer]").forEach((b) => {
+      const action = b.dataset.layer;
+      if (action === "add") b.disabled = board.layers.length >= MAX_LAYERS;
+      else if (action === "remove") b.disabled = board.layers.length <= 1;
+      else if (action === "up") b.disabled = index >= board.layers.length - 1;
+      else if (action === "down") b.disabled = index <= 0;
+    });
+  }
+
+  function layerAction(action) {
+    switch (action) {
+      case "add": addLayer(); return;
+      case "remove": removeLayer(); return;
+      case "up": moveLayer(1); return;
+      case "down": moveLayer(-1); return;
+      case "rename": renameLayer(); return;
+      default: return;
+    }
   }
 
   // ---------- Selection UI ----------
   function clearDropTarget() {
     if (currentDropCell) currentDropCell.classList.remove("is-drop-target");
     currentDropCell = null;
+    dropAt = null;
+    dropPreviewCells.forEach((cell) => cell.classList.remove("is-drop-overwrite", "is-drop-swap"));
+    dropPreviewCells = [];
+  }
+
+  // While dragging to `to` (a grid position, possibly off the board): a ghost of the selection
+  // where it would land, and the shapes the drop would hit marked as the drop setting treats
+  // them (overwritten or refused: red; swapped back into the gap: dashed)
+  function previewDrop(to) {
+    clearDropTarget();
+    dropAt = to;
+    if (inBounds(to.row, to.col)) {
+      currentDropCell = cells[getCellIndex(to.row, to.col)];
+      currentDropCell.classList.add("is-drop-target");
+    }
+
+    const result = checkMove(to, dragFrom);
+    if (!result) return;
+    const className = transformOptions().drop === "swap" ? "is-drop-swap" : "is-drop-overwrite";
+    dropPreviewCells = result.occupied.map(({ row, col }) => cells[getCellIndex(row, col)]);
+    dropPreviewCells.forEach((c) => c.classList.add(className));
+
+    if (result.plan) {
+      showGhost(result.plan.filter((p) => !p.displaced).map((p) => ({ row: p.destRow, col: p.destCol, data: p.data })));
+      return;
+    }
+
+    // Blocked (or not moved): the shapes where the pointer puts them, unshifted, drawn as invalid
+    const from = getCellRC(dragFrom);
+    const entries = [];
+    state.selected.forEach((cell) => {
+      const data = readCellData(cell);
+      if (!data) return;
+      const { row, col } = getCellRC(cell);
+      entries.push({ row: row + to.row - from.row, col: col + to.col - from.col, data });
+    });
+    showGhost(entries, !!result.blocked);
+  }
+
+  // Ends a selection drag without moving anything (Escape, pointer cancelled, or after a drop)
+  function endDrag() {
+    isDragging = false;
+    dragFrom = null;
+    clearDropTarget();
+    hideGhost();
   }
 
   function updateSelectionClasses() {
     cells.forEach((cell) => {
       cell.classList.remove("is-selected", "is-multi-selected");
+      cell.setAttribute("aria-selected", String(state.selected.has(cell)));
     });
 
     if (state.selected.size === 0) return;
@@ -175,6 +656,7 @@
   function clearSelection() {
     state.selected.clear();
     state.anchor = null;
+    clearBlocked();
     updateSelectionClasses();
     syncEditEnabled();
   }
@@ -187,14 +669,88 @@
     syncEditEnabled();
   }
 
-  function selectMany(cellList) {
+  function selectMany(cellList, anchor = null) {
     state.selected.clear();
     for (const c of cellList) if (hasShape(c)) state.selected.add(c);
-    state.anchor = state.selected.values().next().value || null;
+    state.anchor = state.selected.has(anchor) ? anchor : state.selected.values().next().value || null;
+    updateSelectionClasses();
+    syncEditEnabled();
+  }
+
+  function toggleSelected(cell) {
+    if (!hasShape(cell)) return;
+
+    if (state.selected.has(cell)) {
+      state.selected.delete(cell);
+      if (state.anchor === cell) state.anchor = state.selected.values().next().value || null;
+    } else {
+      state.selected.add(cell);
+      state.anchor = cell;
+    }
+
     updateSelectionClasses();
     syncEditEnabled();
   }
 
+  // Selects every filled cell sharing the anchor's colour or shape ("color" | "shapeType")
+  function selectMatching(key) {
+    const ref = state.anchor && readCellData(state.anchor);
+    if (!ref) return;
+
+    const matches = cells.filter((c) => {
+      const data = readCellData(c);
+      return data && data[key] === ref[key];
+    });
+    selectMany(matches, state.anchor);
+  }
+
+  // ---------- Marquee ----------
+  function cellsInRect(a, b) {
+    const { row: r1, col: c1 } = getCellRC(a);
+    const { row: r2, col: c2 } = getCellRC(b);
+    const out = [];
+
+    for (let r = Math.min(r1, r2); r <= Math.max(r1, r2); r++) {
+      for (let c = Math.min(c1, c2); c <= Math.max(c1, c2); c++) {
+        out.push(cells[getCellIndex(r, c)]);
+      }
+    }
+    return out;
+  }
+
+  function renderMarquee() {
+    if (!marqueeEl) return;
+
+    if (!marquee || !marquee.moved) {
+      marqueeEl.hidden = true;
+      return;
+    }
+
+    const { row: r1, col: c1 } = getCellRC(marquee.start);
+    const { row: r2, col: c2 } = getCellRC(marquee.end);
+
+    marqueeEl.hidden = false;
+    marqueeEl.style.left = `${(Math.min(c1, c2) / board.cols) * 100}%`;
+    marqueeEl.style.top = `${(Math.min(r1, r2) / board.rows) * 100}%`;
+    marqueeEl.style.width = `${((Math.abs(c2 - c1) + 1) / board.cols) * 100}%`;
+    marqueeEl.style.height = `${((Math.abs(r2 - r1) + 1) / board.rows) * 100}%`;
+  }
+
+  function finishMarquee() {
+    const { start, end, additive, moved } = marquee;
+    marquee = null;
+    renderMarquee();
+    if (!moved) return; // a plain click; the click handler deals with it
+
+    const picked = cellsInRect(start, end).filter(hasShape);
+    if (additive) {
+      selectMany([...state.selected, ...picked], state.anchor);
+    } else {
+      selectMany(picked);
+    }
+    suppressClick = true;
+  }
+
   // ---------- Edit enable/disable ----------
   function syncEditEnabled() {
     if (!editPanel) return;
@@ -205,385 +761,2162 @@
 
     const selectAllBtn = editPanel.querySelector('[data-edit="selectAll"]');
     const deselectBtn = editPanel.querySelector('[data-edit="deselect"]');
-    const rotateBtn = editPanel.querySelector('[data-edit="rotate"]');
+    const sameColorBtn = editPanel.querySelector('[data-edit="selectColor"]');
+    const sameShapeBtn = editPanel.querySelector('[data-edit="selectShape"]');
+    const rotateBtns = editPanel.querySelectorAll('[data-edit^="rotate"]');
     const mirrorXBtn = editPanel.querySelector('[data-edit="mirrorX"]');
     const mirrorYBtn = editPanel.querySelector('[data-edit="mirrorY"]');
     const deleteBtn = editPanel.querySelector('[data-edit="delete"]');
+    const repeatBtn = editPanel.querySelector('[data-edit="repeat"]');
+    const rerollBtn = editPanel.querySelector('[data-edit="reroll"]');
+    const copyBtn = editPanel.querySelector('[data-edit="copy"]');
+    const cutBtn = editPanel.querySelector('[data-edit="cut"]');
+    const pasteBtn = editPanel.querySelector('[data-edit="paste"]');
+    const duplicateBtn = editPanel.querySelector('[data-edit="duplicate"]');
 
     if (selectAllBtn) selectAllBtn.disabled = !(inSelectMode && anyFilled);
     if (deselectBtn) deselectBtn.disabled = !(inSelectMode && hasSelection);
+    if (sameColorBtn) sameColorBtn.disabled = !(inSelectMode && state.anchor);
+    if (sameShapeBtn) sameShapeBtn.disabled = !(inSelectMode && state.anchor);
 
     // Group selection enables all edit tools (per request)
     const enableEdits = inSelectMode && hasSelection;
-    if (rotateBtn) rotateBtn.disabled = !enableEdits;
+    rotateBtns.forEach((btn) => { btn.disabled = !enableEdits; });
     if (mirrorXBtn) mirrorXBtn.disabled = !enableEdits;
     if (mirrorYBtn) mirrorYBtn.disabled = !enableEdits;
     if (deleteBtn) deleteBtn.disabled = !enableEdits;
+    if (repeatBtn) repeatBtn.disabled = !enableEdits;
+    if (rerollBtn) rerollBtn.disabled = !enableEdits;
+    if (copyBtn) copyBtn.disabled = !enableEdits;
+    if (cutBtn) cutBtn.disabled = !enableEdits;
+    if (duplicateBtn) duplicateBtn.disabled = !enableEdits;
+
+    // Pasting can also come from another tab via the system clipboard
+    const canPaste = !!state.clipboard || !!(navigator.clipboard && navigator.clipboard.readText);
+    if (pasteBtn) pasteBtn.disabled = !canPaste || !!state.paste;
   }
 
   // ---------- Mode ----------
   function setMode(mode) {
-    state.mode = mode === "select" ? "select" : "stamp";
+    state.mode = MODES.includes(mode) ? mode : "stamp";
+    gridEl.dataset.mode = state.mode;
     setActiveWithin(modeBar, (b) => b.dataset.mode === state.mode);
-    if (state.mode === "stamp") clearSelection();
+    if (state.mode !== "select") clearSelection();
     syncEditEnabled();
+    syncSymmetryOverlay();
+    previewStamp(null);
   }
 
-  // ---------- Grid build ----------
-  function buildGrid() {
-    gridEl.innerHTML = "";
-    cells.length = 0;
+  // ---------- Shape picker ----------
+  function renderShapePicker() {
+    if (!shapeGroup) return;
+    shapeGroup.innerHTML = "";
+    shapeGroup.classList.toggle("is-compact", SHAPE_TYPES.length > 3);
+
+    SHAPE_TYPES.forEach((type) => {
+      const btn = document.createElement("button");
+      btn.className = "tile-btn";
+      btn.type = "button";
+      btn.dataset.shape = type;
+      btn.title = SHAPES[type].label;
+      btn.setAttribute("aria-label", `${SHAPES[type].label} shape`);
+      btn.classList.toggle("is-active", type === state.shapeType);
+
+      const icon = document.createElement("span");
+      icon.className = "tile-icon is-shape";
+      icon.setAttribute("aria-hidden", "true");
+      icon.innerHTML = shapeSvg(type, "#d9d9d9");
+
+      btn.appendChild(icon);
+      shapeGroup.appendChild(btn);
+    });
 
-    for (let i = 0; i < GRID_SIZE * GRID_SIZE; i++) {
-      const cell = document.createElement("div");
-      cell.className = "cell";
-      cell.dataset.row = String(Math.floor(i / GRID_SIZE));
-      cell.dataset.col = String(i % GRID_SIZE);
-      gridEl.appendChild(cell);
-      cells.push(cell);
-    }
+    renderStampOrientation();
   }
 
-  // ---------- Actions ----------
-  function stampCell(cell) {
-    pushHistory();
-    writeCellData(cell, {
-      shapeType: state.shapeType,
-      color: state.color,
-      rotation: 0,
-      mirrorX: false,
-      mirrorY: false,
+  // The shape tiles preview the stamp's current orientation
+  function renderStampOrientation() {
+    if (!shapeGroup) return;
+    shapeGroup.querySelectorAll(".tile-icon.is-shape svg").forEach((svg) => {
+      svg.style.transform = shapeTransform(state.stampOrientation);
     });
-    clearSelection();
   }
 
-  function randomRotation() {
-    const choices = [0, 90, 180, 270];
-    return choices[(Math.random() * choices.length) | 0];
+  // ---------- Palette ----------
+  function swatchLabel(swatch) {
+    return swatch.name || swatch.hex;
   }
 
-  function randomShapeType() {
-    return Math.random() < 0.5 ? "square" : "rounded";
-  }
+  // Replaces the working palette; keeps `color` active if it's in the new palette
+  function setPalette(palette, name, color) {
+    state.palette = palette.map(({ name: n, hex }) => ({ name: n, hex: hex.toLowerCase() }));
+    state.paletteName = name;
+
+    const index = state.palette.findIndex((p) => p.hex === color);
+    if (index >= 0) {
+      state.swatch = index;
+      state.color = color;
+    } else if (color && HEX_COLOR.test(color)) {
+      state.swatch = -1; // keep stamping a colour that isn't a swatch (e.g. from an older file)
+      state.color = color.toLowerCase();
+    } else {
+      state.swatch = 0;
+      state.color = state.palette[0].hex;
+    }
 
-  function randomColor() {
-    return Math.random() < 0.5 ? COLORS.blue : COLORS.yellow;
+    renderPalette();
   }
 
-  function randomize() {
-    pushHistory();
-    clearSelection();
-
-    // Clear entire board
-    cells.forEach((c) => writeCellData(c, null));
+  function selectSwatch(index) {
+    const swatch = state.palette[index];
+    if (!swatch) return;
+    state.swatch = index;
+    state.color = swatch.hex;
+    renderPalette();
+  }
 
-    // Fill every cell in the centered output window
-    const { startRow, startCol, endRow, endCol } = getCenteredWindow(state.outputSize);
+  function renderPalette() {
+    if (colorGroup) {
+      colorGroup.innerHTML = "";
+      colorGroup.classList.toggle("is-compact", state.palette.length > 3);
+
+      state.palette.forEach((swatch, i) => {
+        const btn = document.createElement("button");
+        btn.className = "tile-btn";
+        btn.type = "button";
+        btn.dataset.swatch = String(i);
+        btn.setAttribute("aria-label", `${swatchLabel(swatch)} colour`);
+        btn.title = swatchLabel(swatch);
+        btn.classList.toggle("is-active", i === state.swatch);
+
+        const icon = document.createElement("span");
+        icon.className = "tile-icon";
+        icon.setAttribute("aria-hidden", "true");
+        icon.style.background = swatch.hex;
+
+        btn.appendChild(icon);
+        colorGroup.appendChild(btn);
+      });
+    }
 
-    for (let r = startRow; r < endRow; r++) {
-      for (let c = startCol; c < endCol; c++) {
-        writeCellData(cells[getCellIndex(r, c)], {
-          shapeType: randomShapeType(),
-          color: randomColor(),
-          rotation: randomRotation(),
-          mirrorX: false,
-          mirrorY: false,
-        });
-      }
+    const editable = state.swatch >= 0;
+    if (swatchPicker) {
+      swatchPicker.value = state.color;
+      swatchPicker.disabled = !editable;
+    }
+    if (swatchHex) {
+      swatchHex.value = state.color;
+      swatchHex.disabled = !editable;
     }
 
-    syncEditEnabled();
-  }
+    document.querySelectorAll("[data-palette]").forEach((b) => {
+      const action = b.dataset.palette;
+      if (action === "remove") b.disabled = !editable || state.palette.length <= 1;
+      else if (action === "up") b.disabled = !editable || state.swatch === 0;
+      else if (action === "down") b.disabled = !editable || state.swatch === state.palette.length - 1;
+      else if (action === "add") b.disabled = state.palette.length >= MAX_PALETTE;
+      else if (action === "deletePreset") b.disabled = !readPalettePresets()[state.paletteName];
+    });
 
-  function clearAll() {
-    pushHistory();
-    cells.forEach((c) => writeCellData(c, null));
-    clearSelection();
+    renderPresetList();
   }
 
-  function undo() {
-    const last = state.history.pop();
-    if (!last) return;
-    restoreSnapshot(last);
-    setMode(state.mode);
+  // Palette edits mark the palette as unsaved (no preset selected) and autosave
+  function paletteEdited() {
+    state.paletteName = null;
+    renderPalette();
+    cells.forEach(updateCellLabel); // colour names in cell descriptions
+    scheduleAutosave();
   }
 
-  function deleteSelection() {
-    if (state.mode !== "select") return;
-    if (state.selected.size === 0) return;
+  function editSwatchHex(value) {
+    const hex = value.trim().startsWith("#") ? value.trim() : `#${value.trim()}`;
+    if (state.swatch < 0 || !HEX_COLOR.test(hex)) return false;
 
-    pushHistory();
-    state.selected.forEach((cell) => writeCellData(cell, null));
-    clearSelection();
+    state.palette[state.swatch].hex = hex.toLowerCase();
+    state.color = hex.toLowerCase();
+    paletteEdited();
+    return true;
   }
 
-  // ---------- Group transforms (mirror/rotate as a GROUP) ----------
-  function selectionBounds(selected) {
-    let minRow = Infinity, maxRow = -Infinity, minCol = Infinity, maxCol = -Infinity;
+  function paletteAction(action) {
+    const i = state.swatch;
 
-    selected.forEach((cell) => {
-      const { row, col } = getCellRC(cell);
-      minRow = Math.min(minRow, row);
-      maxRow = Math.max(maxRow, row);
-      minCol = Math.min(minCol, col);
-      maxCol = Math.max(maxCol, col);
-    });
+    switch (action) {
+      case "add": {
+        if (state.palette.length >= MAX_PALETTE) return;
+        state.palette.splice(i + 1, 0, { name: "", hex: state.color });
+        state.swatch = i + 1;
+        break;
+      }
+      case "remove": {
+        if (i < 0 || state.palette.length <= 1) return;
+        state.palette.splice(i, 1);
+        state.swatch = Math.min(i, state.palette.length - 1);
+        state.color = state.palette[state.swatch].hex;
+        break;
+      }
+      case "up":
+      case "down": {
+        const j = action === "up" ? i - 1 : i + 1;
+        if (i < 0 || j < 0 || j >= state.palette.length) return;
+        [state.palette[i], state.palette[j]] = [state.palette[j], state.palette[i]];
+        state.swatch = j;
+        break;
+      }
+      case "savePreset":
+        savePalettePreset();
+        return;
+      case "deletePreset":
+        deletePalettePreset();
+        return;
+      default:
+        return;
+    }
 
-    return { minRow, maxRow, minCol, maxCol };
+    paletteEdited();
   }
 
-  function normalizeAngle(deg) {
-    return ((deg % 360) + 360) % 360;
+  function readPalettePresets() {
+    const stored = readStorage(PALETTES_KEY);
+    const presets = {};
+    if (isPlainObject(stored)) {
+      Object.entries(stored).forEach(([name, palette]) => {
+        if (isValidPalette(palette)) presets[name] = palette;
+      });
+    }
+    return presets;
   }
 
-  // Reflection flips angle sign in our representation
-  function reflectRotation(deg) {
-    return normalizeAngle(360 - deg);
-  }
+  function renderPresetList() {
+    if (!presetSelect) return;
 
-  function applyGroupTransform(kind) {
-    if (state.mode !== "select") return;
-    if (state.selected.size === 0) return;
+    const names = [DEFAULT_PALETTE_NAME, ...Object.keys(readPalettePresets())
+      .filter((n) => n !== DEFAULT_PALETTE_NAME)
+      .sort((a, b) => a.localeCompare(b))];
 
-    const items = [];
-    state.selected.forEach((cell) => {
-      const data = readCellData(cell);
-      if (data) items.push({ cell, data });
-    });
-    if (items.length === 0) return;
+    presetSelect.innerHTML = "";
 
-    const { minRow, maxRow, minCol, maxCol } = selectionBounds(state.selected);
-    const height = maxRow - minRow + 1;
-    const width = maxCol - minCol + 1;
+    if (!state.paletteName) {
+      const custom = document.createElement("option");
+      custom.value = "";
+      custom.textContent = "Unsaved palette";
+      presetSelect.appendChild(custom);
+    }
 
-    const destMap = new Map(); // "r,c" -> data
+    for (const name of names) {
+      const opt = document.createElement("option");
+      opt.value = name;
+      opt.textContent = name;
+      presetSelect.appendChild(opt);
+    }
 
-    for (const { cell, data } of items) {
-      const { row, col } = getCellRC(cell);
-      const lr = row - minRow;
-      const lc = col - minCol;
-
-      let nr = lr;
-      let nc = lc;
-
-      const next = { ...data };
-
-      if (kind === "mirrorX") {
-        nc = (width - 1) - lc;
-        next.mirrorX = !next.mirrorX;
-        next.rotation = reflectRotation(next.rotation);
-      } else if (kind === "mirrorY") {
-        nr = (height - 1) - lr;
-        next.mirrorY = !next.mirrorY;
-        next.rotation = reflectRotation(next.rotation);
-      } else if (kind === "rotate") {
-        // Rotate 90° clockwise within the selection bounding box (anchored at top-left)
-        nr = lc;
-        nc = (height - 1) - lr;
-        next.rotation = normalizeAngle(next.rotation + 90);
-      }
+    presetSelect.value = state.paletteName || "";
+  }
 
-      const destRow = minRow + nr;
-      const destCol = minCol + nc;
+  function applyPalettePreset(name) {
+    const palette = name === DEFAULT_PALETTE_NAME ? DEFAULT_PALETTE : readPalettePresets()[name];
+    if (!palette) return;
+    setPalette(palette, name, state.color);
+    scheduleAutosave();
+  }
 
-      // If rotate, selection dims swap; ensure it fits the board
-      if (kind === "rotate") {
-        const newHeight = width;
-        const newWidth = height;
-        if (minRow + newHeight - 1 >= GRID_SIZE || minCol + newWidth - 1 >= GRID_SIZE) return;
-      }
+  function savePalettePreset() {
+    const name = (prompt("Save palette as:", state.paletteName || "") || "").trim();
+    if (!name) return;
+    if (name === DEFAULT_PALETTE_NAME) {
+      alert(`"${DEFAULT_PALETTE_NAME}" is built in; choose another name.`);
+      return;
+    }
 
-      destMap.set(`${destRow},${destCol}`, next);
+    const presets = readPalettePresets();
+    if (presets[name] && !confirm(`Replace the existing palette "${name}"?`)) return;
+
+    presets[name] = state.palette.map(({ name: n, hex }) => ({ name: n, hex }));
+    if (!writeStorage(PALETTES_KEY, presets)) {
+      alert("Couldn't save the palette: browser storage is full or unavailable.");
+      return;
     }
 
-    pushHistory();
+    state.paletteName = name;
+    renderPalette();
+  }
 
-    // Clear sources first
-    state.selected.forEach((cell) => writeCellData(cell, null));
+  function deletePalettePreset() {
+    const name = state.paletteName;
+    const presets = readPalettePresets();
+    if (!name || !presets[name] || !confirm(`Delete the palette "${name}"?`)) return;
 
-    // Write destinations and reselect them
-    const newSelected = [];
-    destMap.forEach((data, key) => {
-      const [r, c] = key.split(",").map(Number);
-      const dest = cells[getCellIndex(r, c)];
-      writeCellData(dest, data);
-      newSelected.push(dest);
-    });
+    delete presets[name];
+    writeStorage(PALETTES_KEY, presets);
 
-    selectMany(newSelected);
+    // The working colours stay; they just no longer belong to a saved preset
+    state.paletteName = null;
+    renderPalette();
   }
 
-  // ---------- Drag & snap ----------
-  function cellFromPointer(clientX, clientY) {
-    const rect = gridEl.getBoundingClientRect();
-    const x = clientX - rect.left;
-    const y = clientY - rect.top;
+  // ---------- Grid build ----------
+  function buildGrid() {
+    gridEl.innerHTML = "";
+    cells.length = 0;
+    gridRows = board.rows;
+    gridCols = board.cols;
+
+    gridEl.style.setProperty("--grid-rows", String(board.rows));
+    gridEl.style.setProperty("--grid-cols", String(board.cols));
+    gridEl.style.setProperty("--grid-max", String(Math.max(board.rows, board.cols)));
+
+    gridEl.setAttribute("aria-rowcount", String(board.rows));
+    gridEl.setAttribute("aria-colcount", String(board.cols));
+
+    // Row wrappers are display: contents, so the CSS grid still lays out the cells directly
+    for (let r = 0; r < board.rows; r++) {
+      const rowEl = document.createElement("div");
+      rowEl.className = "grid-row";
+      rowEl.setAttribute("role", "row");
+
+      for (let c = 0; c < board.cols; c++) {
+        const cell = document.createElement("div");
+        cell.className = "cell";
+        cell.dataset.row = String(r);
+        cell.dataset.col = String(c);
+        cell.setAttribute("role", "gridcell");
+        cell.setAttribute("aria-selected", "false");
+        cell.tabIndex = -1;
+        rowEl.appendChild(cell);
+        cells.push(cell);
+        updateCellLabel(cell);
+      }
 
-    if (x < 0 || y < 0 || x > rect.width || y > rect.height) return null;
+      gridEl.appendChild(rowEl);
+    }
 
-    const cellW = rect.width / GRID_SIZE;
-    const cellH = rect.height / GRID_SIZE;
+    focusIndex = Math.min(focusIndex, cells.length - 1);
+    cells[focusIndex].tabIndex = 0;
+
+    // Overlays sit on top of the cells (absolutely positioned, outside grid flow)
+    marqueeEl = document.createElement("div");
+    marqueeEl.className = "marquee";
+    marqueeEl.hidden = true;
+    gridEl.appendChild(marqueeEl);
+
+    ghostEl = document.createElement("div");
+    ghostEl.className = "ghost-layer";
+    ghostEl.setAttribute("aria-hidden", "true");
+    gridEl.appendChild(ghostEl);
+
+    symmetryEl = document.createElement("div");
+    symmetryEl.className = "symmetry-axes";
+    symmetryEl.setAttribute("aria-hidden", "true");
+    gridEl.appendChild(symmetryEl);
+    syncSymmetryOverlay();
+  }
 
-    const col = Math.floor(x / cellW);
-    const row = Math.floor(y / cellH);
+  // ---------- Accessibility ----------
+  const ORIENTATION_WORDS = { mirrorX: "mirrored horizontally", mirrorY: "mirrored vertically" };
 
-    return cells[getCellIndex(row, col)] || null;
+  function colorName(hex) {
+    const swatch = state.palette.find((p) => p.hex === hex);
+    return swatch ? swatchLabel(swatch) : hex;
   }
 
-  function planMove(toCell) {
-    if (!state.anchor || state.selected.size === 0) return null;
+  function describeData(data) {
+    if (!data) return "empty";
 
-    const { row: fromRow, col: fromCol } = getCellRC(state.anchor);
-    const { row: toRow, col: toCol } = getCellRC(toCell);
+    const shape = (SHAPES[data.shapeType] || SHAPES.square).label.toLowerCase();
+    const parts = [`${colorName(data.color)} ${shape}`];
+    if (data.rotation) parts.push(`rotated ${data.rotation}°`);
+    if (data.mirrorX) parts.push(ORIENTATION_WORDS.mirrorX);
+    if (data.mirrorY) parts.push(ORIENTATION_WORDS.mirrorY);
+    return parts.join(", ");
+  }
 
-    const dRow = toRow - fromRow;
-    const dCol = toCol - fromCol;
-    if (dRow === 0 && dCol === 0) return null;
+  function describeCell(cell) {
+    const { row, col } = getCellRC(cell);
+    return `Row ${row + 1}, column ${col + 1}: ${describeData(readCellData(cell))}`;
+  }
 
-    const plan = [];
-    for (const cell of state.selected) {
-      const data = readCellData(cell);
-      if (!data) continue;
+  function updateCellLabel(cell) {
+    cell.setAttribute("aria-label", describeCell(cell));
+  }
 
-      const { row: srcRow, col: srcCol } = getCellRC(cell);
-      const destRow = srcRow + dRow;
-      const destCol = srcCol + dCol;
+  function announce(message) {
+    if (!announcer) return;
+    // Clear first so repeating the same message is still announced
+    announcer.textContent = "";
+    setTimeout(() => { announcer.textContent = message; }, 30);
+  }
 
-      if (destRow < 0 || destCol < 0 || destRow >= GRID_SIZE || destCol >= GRID_SIZE) {
-        return null; // block whole move
-      }
+  function focusCell(index, { announceCell = true } = {}) {
+    const next = cells[clampInt(index, 0, cells.length - 1)];
+    if (!next) return;
 
-      plan.push({ srcRow, srcCol, destRow, destCol, data });
-    }
+    const prev = cells[focusIndex];
+    if (prev) prev.tabIndex = -1;
+    focusIndex = cells.indexOf(next);
+    next.tabIndex = 0;
+    next.focus();
 
-    return plan.length ? plan : null;
+    if (announceCell) announce(describeCell(next));
+    if (state.paste) previewPaste(next);
   }
 
-  function commitMove(plan) {
-    pushHistory();
-
-    // Clear sources
-    const srcKeys = new Set(plan.map((p) => `${p.srcRow},${p.srcCol}`));
-    srcKeys.forEach((key) => {
-      const [r, c] = key.split(",").map(Number);
-      writeCellData(cells[getCellIndex(r, c)], null);
-    });
+  // Shift+arrow: move the selection one cell through the same logic as dragging
+  function nudgeSelection(dRow, dCol) {
+    if (state.mode !== "select" || !state.anchor) return;
 
-    // Write destinations (replacement behavior)
-    const newSelected = [];
-    plan.forEach((p) => {
-      const dest = cells[getCellIndex(p.destRow, p.destCol)];
-      writeCellData(dest, p.data);
-      newSelected.push(dest);
-    });
+    const result = board.checkMove([...state.selected].map(getCellRC), dRow, dCol, { drop: transformOptions().drop });
+    if (!result.plan) {
+      showBlocked(result, "move");
+      return;
+    }
 
-    selectMany(newSelected);
+    if (!commitMove(result.plan)) return;
+    focusCell(cells.indexOf(state.anchor), { announceCell: false });
+    announce(`Moved ${planSummary(result)}.`);
   }
 
-  // ---------- Export ----------
-  function findUsedBounds() {
-    let minRow = Infinity, maxRow = -Infinity, minCol = Infinity, maxCol = -Infinity;
+  function activateCell(cell, e) {
+    if (state.paste) {
+      if (commitPaste(cell)) announce("Pasted.");
+      else if (layerEditable()) announce("Can't paste here: it would leave the board.");
+      return;
+    }
 
-    cells.forEach((cell) => {
-      if (!hasShape(cell)) return;
-      const { row, col } = getCellRC(cell);
-      minRow = Math.min(minRow, row);
-      maxRow = Math.max(maxRow, row);
-      minCol = Math.min(minCol, col);
-      maxCol = Math.max(maxCol, col);
-    });
+    if (state.mode === "stamp") {
+      if (hasShape(cell)) {
+        if (rotateCell(cell)) announce(`Turned. ${describeCell(cell)}`);
+      } else if (stampCell(cell)) {
+        announce(`Stamped. ${describeCell(cell)}`);
+      }
+      return;
+    }
 
-    return { minRow, maxRow, minCol, maxCol };
-  }
+    if (state.mode === "erase") {
+      if (!hasShape(cell)) {
+        announce("Nothing to erase.");
+        return;
+      }
+      eraseCell(cell);
+      if (!hasShape(cell)) announce(`Erased. ${describeCell(cell)}`);
+      return;
+    }
 
-  function exportSVG() {
-    const { minRow, maxRow, minCol, maxCol } = findUsedBounds();
-    if (minRow === Infinity) {
-      alert("No artwork found! Place shapes before exporting.");
+    if (state.mode === "pick") {
+      pickAndAnnounce(cell);
       return;
     }
 
-    const cols = maxCol - minCol + 1;
-    const rows = maxRow - minRow + 1;
-    const svgWidth = cols * CELL_PX;
-    const svgHeight = rows * CELL_PX;
+    if (state.mode === "fill") {
+      const filled = floodFill(cell);
+      if (filled === null) return;
+      announce(filled ? `Filled ${filled} cell${filled === 1 ? "" : "s"}.` : "Fill needs an empty cell.");
+      return;
+    }
 
-    const shapesSvg = [];
+    if (e.shiftKey || e.ctrlKey || e.metaKey) toggleSelected(cell);
+    else if (hasShape(cell)) selectSingle(cell);
+    else clearSelection();
 
-    cells.forEach((cell) => {
-      const data = readCellData(cell);
-      if (!data) return;
+    announce(state.selected.has(cell) ? `Selected. ${state.selected.size} selected.` : "Not selected.");
+  }
 
+  function onGridKeydown(e) {
+    const cell = e.target.closest(".cell");
+    if (!cell || e.altKey) return;
+
+    const { row, col } = getCellRC(cell);
+    const moves = {
+      ArrowUp: [-1, 0],
+      ArrowDown: [1, 0],
+      ArrowLeft: [0, -1],
+      ArrowRight: [0, 1],
+    };
+
+    if (moves[e.key]) {
+      e.preventDefault();
+      const [dRow, dCol] = moves[e.key];
+      if (e.shiftKey && state.mode === "select" && state.selected.size > 0) {
+        nudgeSelection(dRow, dCol);
+        return;
+      }
+      const r = clampInt(row + dRow, 0, board.rows - 1);
+      const c = clampInt(col + dCol, 0, board.cols - 1);
+      focusCell(getCellIndex(r, c));
+      return;
+    }
+
+    if (e.key === "Home" || e.key === "End") {
+      e.preventDefault();
+      const r = e.ctrlKey || e.metaKey ? (e.key === "Home" ? 0 : board.rows - 1) : row;
+      focusCell(getCellIndex(r, e.key === "Home" ? 0 : board.cols - 1));
+      return;
+    }
+
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      activateCell(cell, e);
+    }
+  }
+
+  // ---------- Ghost preview ----------
+  // entries: [{ row, col, data }] in board coordinates (may lie off the board)
+  function showGhost(entries, invalid = false) {
+    if (!ghostEl) return;
+    ghostEl.innerHTML = "";
+    ghostEl.classList.toggle("is-invalid", invalid);
+
+    for (const { row, col, data } of entries) {
+      const ghost = document.createElement("div");
+      ghost.className = "ghost";
+      ghost.style.left = `${(col / board.cols) * 100}%`;
+      ghost.style.top = `${(row / board.rows) * 100}%`;
+      ghost.style.width = `${100 / board.cols}%`;
+      ghost.style.height = `${100 / board.rows}%`;
+
+      const shape = document.createElement("div");
+      shape.className = "ghost__shape";
+      shape.innerHTML = shapeSvg(data.shapeType, data.color);
+      shape.style.transform = shapeTransform(data);
+
+      ghost.appendChild(shape);
+      ghostEl.appendChild(ghost);
+    }
+  }
+
+  function hideGhost() {
+    if (ghostEl) ghostEl.innerHTML = "";
+  }
+
+  // ---------- Board size ----------
+  function renderOutputButtons() {
+    if (!outputRow) return;
+    outputRow.innerHTML = "";
+
+    for (let n = MIN_OUTPUT; n <= maxOutputSize(); n++) {
+      const btn = document.createElement("button");
+      btn.className = "pill-btn";
+      btn.type = "button";
+      btn.dataset.output = String(n);
+      btn.textContent = outputLabel(n);
+      outputRow.appendChild(btn);
+    }
+
+    syncOutputSize();
+  }
+
+  // Marks the chosen size and names it on the Repeat region's "Output window" choice
+  function syncOutputSize() {
+    setActiveWithin(outputRow, (b) => Number(b.dataset.output) === state.outputSize);
+    const windowOpt = repeatRegion && repeatRegion.querySelector('option[value="window"]');
+    if (windowOpt) windowOpt.textContent = `Output window (${outputLabel(state.outputSize)})`;
+  }
+
+  function readSizeInput(input, fallback) {
+    const n = input ? parseInt(input.value, 10) : NaN;
+    return Number.isNaN(n) ? fallback : n;
+  }
+
+  function syncBoardInputs() {
+    if (rowsInput) rowsInput.value = String(board.rows);
+    if (colsInput) colsInput.value = String(board.cols);
+  }
+
+  // Artwork stays anchored to the top-left; shapes beyond the new edge are dropped
+  function resizeBoard(rows, cols) {
+    const nextRows = clampInt(rows, MIN_BOARD, MAX_BOARD);
+    const nextCols = clampInt(cols, MIN_BOARD, MAX_BOARD);
+    if (nextRows === board.rows && nextCols === board.cols) {
+      syncBoardInputs();
+      return;
+    }
+
+    const prev = board.snapshot();
+    const lost = prev.layers.reduce((n, layer) => n + layer.cells.filter((data, i) => {
+      if (!data) return false;
+      return Math.floor(i / prev.cols) >= nextRows || i % prev.cols >= nextCols;
+    }).length, 0);
+
+    if (lost > 0 && !confirm(`${lost} shape(s) fall outside the new board and will be removed. Resize anyway?`)) {
+      syncBoardInputs();
+      return;
+    }
+
+    pushHistory("Resize board");
+    board.resize(nextRows, nextCols);
+    renderRestored();
+    syncEditEnabled();
+  }
+
+  // ---------- Actions ----------
+  function stampData() {
+    return {
+      shapeType: state.shapeType,
+      color: state.color,
+      ...state.stampOrientation,
+    };
+  }
+
+  // Same maths as a one-cell group transform, applied to the stamp itself
+  function transformStamp(kind) {
+    const { rotation, mirrorX, mirrorY } = transformCell(kind, 0, 0, 1, 1, stampData()).data;
+    state.stampOrientation = { rotation, mirrorX, mirrorY };
+    renderStampOrientation();
+    previewStamp(hoverCell);
+  }
+
+  // Stamp mode on a filled cell turns that shape a quarter clockwise instead of replacing it
+  // Returns whether the cell turned (a locked or hidden layer is announced instead)
+  function rotateCell(cell) {
+    const data = readCellData(cell);
+    if (!data || !canEditLayer()) return false;
+
+    pushHistory("Rotate cell");
+    writeCellData(cell, { ...data, rotation: normalizeAngle(data.rotation + 90) });
+    return true;
+  }
+
+  // Ghost of what a click would do: the stamp (with its symmetric copies) or the turned shape
+  function previewStamp(cell) {
+    hoverCell = cell;
+    if (state.paste) return;
+
+    if (!cell || state.mode !== "stamp" || !layerEditable()) {
+      hideGhost();
+      return;
+    }
+
+    const { row, col } = getCellRC(cell);
+    const data = readCellData(cell);
+    if (data) showGhost([{ row, col, data: { ...data, rotation: normalizeAngle(data.rotation + 90) } }]);
+    else showGhost(symmetryImages(row, col, stampData()));
+  }
+
+  // Returns whether the stamp was placed, as rotateCell
+  function stampCell(cell) {
+    if (!canEditLayer()) return false;
+    pushHistory("Stamp");
+    stampAt(cell);
+    clearSelection();
+    return true;
+  }
+
+  function stampAt(cell) {
+    const { row, col } = getCellRC(cell);
+    symmetryImages(row, col, stampData()).forEach((image) => {
+      writeCellData(cells[getCellIndex(image.row, image.col)], image.data);
+    });
+  }
+
+  function eraseCell(cell) {
+    if (!hasShape(cell) || !canEditLayer()) return;
+    pushHistory("Erase");
+    writeCellData(cell, null);
+  }
+
+  // Eyedropper: the shape, colour and orientation the cell shows (its topmost visible layer
+  // with a shape) become the stamp
+  function pickFromCell(cell) {
+    const layer = board.layers
+      .slice()
+      .reverse()
+      .find((l) => l.visible && readCellData(cell, l.id));
+    if (!layer) return false;
+    const data = readCellData(cell, layer.id);
+
+    state.shapeType = data.shapeType;
+    setActiveWithin(shapeGroup, (b) => b.dataset.shape === state.shapeType);
+
+    const swatch = state.palette.findIndex((p) => p.hex === data.color);
+    if (swatch >= 0) {
+      selectSwatch(swatch);
+    } else {
+      state.swatch = -1;
+      state.color = data.color;
+      renderPalette();
+    }
+
+    state.stampOrientation = { rotation: data.rotation, mirrorX: data.mirrorX, mirrorY: data.mirrorY };
+    renderStampOrientation();
+    return true;
+  }
+
+  // Picking in Eyedropper mode goes straight back to stamping with what was picked
+  function pickAndAnnounce(cell) {
+    if (!pickFromCell(cell)) {
+      announce("Nothing to pick up: the cell is empty.");
+      return;
+    }
+    if (state.mode === "pick") setMode("stamp");
+    announce(`Picked up ${describeData(stampData())}.`);
+  }
+
+  // Stamps every empty cell 4-connected to `cell`; returns how many were filled (null if the layer is locked)
+  function floodFill(cell) {
+    if (!canEditLayer()) return null;
+    if (hasShape(cell)) return 0;
+
+    const region = [];
+    const seen = new Set([cell]);
+    const queue = [cell];
+
+    while (queue.length) {
+      const current = queue.shift();
+      region.push(current);
+
+      const { row, col } = getCellRC(current);
+      for (const [dr, dc] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+        if (!inBounds(row + dr, col + dc)) continue;
+        const next = cells[getCellIndex(row + dr, col + dc)];
+        if (seen.has(next) || hasShape(next)) continue;
+        seen.add(next);
+        queue.push(next);
+      }
+    }
+
+    pushHistory("Fill");
+    region.forEach((c) => writeCellData(c, stampData()));
+    syncEditEnabled();
+    return region.length;
+  }
+
+  // ---------- Random generator ----------
+  function setSeed(seed) {
+    state.randomOptions.seed = seed >>> 0;
+    if (seedInput) seedInput.value = String(state.randomOptions.seed);
+    writeStorage(RANDOM_KEY, state.randomOptions);
+  }
+
+  // The generator and the planning live on the board; the editor supplies its palette,
+  // weights, output window and the locked (selected) cells
+  function randomSettings() {
+    const locked = state.randomOptions.lockSelected && state.mode === "select"
+      ? [...state.selected].map(getCellRC)
+      : [];
+    return { ...state.randomOptions, palette: state.palette, windowSize: state.outputSize, locked };
+  }
+
+  // The connected style can paint itself into a corner (e.g. placed shapes whose edges no
+  // allowed tile matches); the board is then left as it was
+  function alertNoConnection() {
+    alert("Couldn't connect the tiles: no arrangement matches the kept shapes with these weights. Try another seed, clear or unlock cells, or allow more shapes and rotations.");
+  }
+
+  // True, and announced, when the connected style has no empty cell in the window to fill
+  function nothingToConnect() {
+    if (state.randomOptions.style !== "connected") return false;
+    const { startRow, startCol, endRow, endCol } = board.outputWindow(state.outputSize);
+    for (let r = startRow; r < endRow; r++) {
+      for (let c = startCol; c < endCol; c++) {
+        if (!board.get(r, c)) return false;
+      }
+    }
+    announce("Nothing to fill: connected Randomize keeps placed shapes. Clear cells or re-roll a selection.");
+    return true;
+  }
+
+  // Randomize clears the board and fills every unlocked cell of the output window; the connected
+  // style keeps the shapes already placed and fills around them
+  function randomize(seed = newSeed()) {
+    if (!canEditLayer() || nothingToConnect()) return;
+    setSeed(seed);
+    const settings = randomSettings();
+
+    const planned = board.planRandomize(state.randomOptions.seed, settings);
+    if (!planned) {
+      alertNoConnection();
+      return;
+    }
+
+    pushHistory("Randomize");
+    if (settings.locked.length === 0) clearSelection();
+    board.setCells(planned);
+    renderBoard();
+    syncEditEnabled();
+  }
+
+  // In the connected style the re-rolled cells are fitted to the shapes around them
+  function rerollSelection() {
+    if (state.mode !== "select" || state.selected.size === 0) return;
+    if (!canEditLayer()) return;
+
+    setSeed(newSeed());
+    const planned = board.planReroll([...state.selected].map(getCellRC), state.randomOptions.seed, randomSettings());
+    if (!planned) {
+      alertNoConnection();
+      return;
+    }
+
+    pushHistory("Re-roll");
+    board.setCells(planned);
+    renderBoard();
+    updateSelectionClasses();
+  }
+
+  // ---------- Random options ----------
+  function sanitizeWeights(raw, keys) {
+    const weights = {};
+    if (!isPlainObject(raw)) return weights;
+    keys.forEach((key) => {
+      if (Number.isFinite(raw[key])) weights[key] = clampInt(raw[key], 0, MAX_WEIGHT);
+    });
+    return weights;
+  }
+
+  function sanitizeRandomOptions(raw) {
+    const opts = { ...DEFAULT_RANDOM_OPTIONS, seed: newSeed(), shapeWeights: {}, colorWeights: {}, rotationWeights: {} };
+    if (!isPlainObject(raw)) return opts;
+
+    // Colour weights are kept by hex, so they survive palette edits and presets
+    const colorKeys = isPlainObject(raw.colorWeights)
+      ? Object.keys(raw.colorWeights).filter((hex) => HEX_COLOR.test(hex))
+      : [];
+
+    opts.shapeWeights = sanitizeWeights(raw.shapeWeights, SHAPE_TYPES);
+    opts.colorWeights = sanitizeWeights(raw.colorWeights, colorKeys);
+    opts.rotationWeights = sanitizeWeights(raw.rotationWeights, ROTATIONS.map(String));
+    if (RANDOM_STYLES.includes(raw.style)) opts.style = raw.style;
+    opts.noAdjacentColor = raw.noAdjacentColor === true;
+    opts.lockSelected = raw.lockSelected === true;
+    if (Number.isFinite(raw.batch)) opts.batch = clampInt(raw.batch, MIN_BATCH, MAX_BATCH);
+    if (Number.isInteger(raw.seed) && raw.seed >= 0 && raw.seed <= MAX_SEED) opts.seed = raw.seed;
+    return opts;
+  }
+
+  function weightSlider(group, key, label, value, swatch) {
+    const field = document.createElement("label");
+    field.className = "weight-field";
+
+    const name = document.createElement("span");
+    name.className = "weight-field__label";
+    if (swatch) {
+      const dot = document.createElement("span");
+      dot.className = "weight-field__swatch";
+      dot.style.background = swatch;
+      name.appendChild(dot);
+    }
+    name.appendChild(document.createTextNode(label));
+
+    const input = document.createElement("input");
+    input.type = "range";
+    input.min = "0";
+    input.max = String(MAX_WEIGHT);
+    input.step = "1";
+    input.value = String(value);
+    input.dataset.weightGroup = group;
+    input.dataset.weightKey = key;
+
+    field.append(name, input);
+    return field;
+  }
+
+  function syncRandomForm() {
+    const opts = state.randomOptions;
+
+    if (randomShapeWeights) {
+      randomShapeWeights.replaceChildren(...SHAPE_TYPES.map((type) =>
+        weightSlider("shapeWeights", type, SHAPES[type].label, weightOf(opts.shapeWeights, type))));
+    }
+    if (randomColorWeights) {
+      randomColorWeights.replaceChildren(...state.palette.map((swatch) =>
+        weightSlider("colorWeights", swatch.hex, swatchLabel(swatch), weightOf(opts.colorWeights, swatch.hex), swatch.hex)));
+    }
+    if (randomRotationWeights) {
+      randomRotationWeights.replaceChildren(...ROTATIONS.map((angle) =>
+        weightSlider("rotationWeights", String(angle), `${angle}°`, weightOf(opts.rotationWeights, String(angle)))));
+    }
+
+    if (randomStyle) randomStyle.value = opts.style;
+    if (randomNoAdjacent) randomNoAdjacent.checked = opts.noAdjacentColor;
+    if (randomLock) randomLock.checked = opts.lockSelected;
+    if (randomBatch) randomBatch.value = String(opts.batch);
+  }
+
+  function readRandomForm(e) {
+    const opts = state.randomOptions;
+    const input = e && e.target;
+
+    if (input && input.dataset && input.dataset.weightGroup) {
+      opts[input.dataset.weightGroup][input.dataset.weightKey] = clampInt(parseInt(input.value, 10) || 0, 0, MAX_WEIGHT);
+    }
+
+    if (randomStyle && RANDOM_STYLES.includes(randomStyle.value)) opts.style = randomStyle.value;
+    if (randomNoAdjacent) opts.noAdjacentColor = randomNoAdjacent.checked;
+    if (randomLock) opts.lockSelected = randomLock.checked;
+    if (randomBatch) {
+      const batch = parseInt(randomBatch.value, 10);
+      opts.batch = Number.isFinite(batch) ? clampInt(batch, MIN_BATCH, MAX_BATCH) : opts.batch;
+    }
+
+    writeStorage(RANDOM_KEY, opts);
+  }
+
+  // Thumbnails of N seeds with the current options; clicking one applies that seed.
+  // Seeds the connected style finds no fit for are left out.
+  function renderVariations() {
+    if (!randomVariations) return;
+    if (nothingToConnect()) {
+      randomVariations.replaceChildren();
+      return;
+    }
+
+    // Thumbnails show the other layers too, as the result would look on the board
+    const current = board.snapshot();
+    const buttons = [];
+    for (let n = 0; n < state.randomOptions.batch; n++) {
+      const seed = newSeed();
+      const planned = board.planRandomize(seed, randomSettings());
+      if (!planned) continue;
+      const art = buildArtworkSvg(withLayerCells(current, planned), VARIATION_THUMB_OPTIONS);
+
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "variation-btn";
+      btn.dataset.variation = String(seed);
+      btn.setAttribute("aria-label", `Use seed ${seed}`);
+      btn.title = `Seed ${seed}`;
+      btn.innerHTML = art ? art.svg : "";
+
+      const caption = document.createElement("span");
+      caption.className = "variation-btn__seed";
+      caption.textContent = String(seed);
+      btn.appendChild(caption);
+
+      buttons.push(btn);
+    }
+
+    randomVariations.replaceChildren(...buttons);
+  }
+
+  function openRandomDialog() {
+    if (!randomDialog || typeof randomDialog.showModal !== "function") return;
+    syncRandomForm();
+    if (randomVariations) randomVariations.replaceChildren();
+    randomDialog.returnValue = ""; // close() without a value keeps the last one
+    randomDialog.showModal();
+  }
+
+  function applyVariation(seed) {
+    if (randomDialog && randomDialog.open) randomDialog.close("cancel");
+    randomize(seed);
+  }
+
+  // Empties every visible, unlocked layer; like other edits, Clear leaves locked and hidden
+  // layers alone
+  function clearAll() {
+    pushHistory("Clear");
+    board.layers.forEach((layer) => {
+      if (layer.visible && !layer.locked) board.clear(layer.id);
+    });
+    renderBoard();
+    clearSelection();
+  }
+
+  function undo() {
+    if (board.undo() === null) return;
+    renderRestored();
+    setMode(state.mode);
+    scheduleAutosave();
+    renderHistory();
+  }
+
+  function redo() {
+    if (board.redo() === null) return;
+    renderRestored();
+    setMode(state.mode);
+    scheduleAutosave();
+    renderHistory();
+  }
+
+  // Step 0 is the oldest kept state; step N is the state after the Nth labelled action
+  function jumpToHistoryStep(step) {
+    const target = clampInt(step, 0, board.history.length + board.future.length);
+    while (board.history.length > target) undo();
+    while (board.history.length < target) redo();
+  }
+
+  function renderHistory() {
+    document.querySelectorAll('[data-action="undo"]').forEach((b) => { b.disabled = board.history.length === 0; });
+    document.querySelectorAll('[data-action="redo"]').forEach((b) => { b.disabled = board.future.length === 0; });
+
+    if (!historyList) return;
+    historyList.innerHTML = "";
+
+    const labels = [
+      "Start",
+      ...board.history.map((entry) => entry.label),
+      ...board.future.slice().reverse().map((entry) => entry.label),
+    ];
+    const current = board.history.length;
+
+    labels.forEach((label, step) => {
+      const item = document.createElement("li");
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "history-btn";
+      btn.dataset.historyStep = String(step);
+      btn.textContent = label || "Edit";
+      btn.classList.toggle("is-active", step === current);
+      btn.classList.toggle("is-future", step > current);
+      if (step === current) btn.setAttribute("aria-current", "step");
+      item.appendChild(btn);
+      historyList.appendChild(item);
+    });
+
+    const active = historyList.querySelector(".is-active");
+    if (active && active.scrollIntoView) active.scrollIntoView({ block: "nearest" });
+  }
+
+  // Returns whether anything was deleted (a locked or hidden layer is announced instead)
+  function deleteSelection() {
+    if (state.mode !== "select") return false;
+    if (state.selected.size === 0) return false;
+    if (!canEditLayer()) return false;
+
+    pushHistory("Delete");
+    state.selected.forEach((cell) => writeCellData(cell, null));
+    clearSelection();
+    return true;
+  }
+
+  // ---------- Group transforms (mirror/rotate as a GROUP) ----------
+  function selectionBounds(selected) {
+    return positionBounds([...selected].map(getCellRC));
+  }
+
+  // Pivot, auto-shift and drop behaviour come from the Edit panel; moves share the last two
+  function transformOptions() {
+    return {
+      pivot: transformPivot && transformPivot.value === "center" ? "center" : "corner",
+      autoShift: !!(transformShift && transformShift.checked),
+      drop: dropModeSelect && DROP_MODES.includes(dropModeSelect.value) ? dropModeSelect.value : "replace",
+    };
+  }
+
+  // The board plans the transform; when it's blocked the reason is shown instead.
+  // Returns whether anything changed.
+  function applyGroupTransform(kind) {
+    if (state.mode !== "select") return false;
+    if (state.selected.size === 0) return false;
+    if (!canEditLayer()) return false;
+
+    const result = board.checkTransform([...state.selected].map(getCellRC), kind, transformOptions());
+    if (!result.plan) {
+      showBlocked(result, TRANSFORM_LABELS[kind].toLowerCase());
+      return false;
+    }
+
+    clearBlocked();
+    pushHistory(TRANSFORM_LABELS[kind]);
+    selectMany(applyPlan(result.plan));
+    announce(`${TRANSFORM_LABELS[kind]}: ${planSummary(result)}.`);
+    return true;
+  }
+
+  // "3 shapes, 1 swapped out of the way, shifted 2 rows up to stay on the board"
+  function planSummary({ plan, shift }) {
+    const count = (n, unit) => `${Math.abs(n)} ${unit}${Math.abs(n) === 1 ? "" : "s"}`;
+    const swapped = plan.filter((p) => p.displaced).length;
+    const parts = [count(plan.length - swapped, "shape")];
+    if (swapped) parts.push(`${swapped} swapped out of the way`);
+
+    const moves = [];
+    if (shift.dRow) moves.push(`${count(shift.dRow, "row")} ${shift.dRow < 0 ? "up" : "down"}`);
+    if (shift.dCol) moves.push(`${count(shift.dCol, "column")} ${shift.dCol < 0 ? "left" : "right"}`);
+    if (moves.length) parts.push(`shifted ${moves.join(" and ")} to stay on the board`);
+    return parts.join(", ");
+  }
+
+  // ---------- Blocked edits ----------
+  let blockedTimer = null;
+  let blockedCells = [];
+
+  // Says why a transform or move didn't happen: announced, written under the Edit buttons,
+  // and the shapes that would have left the board flash
+  function showBlocked(result, action) {
+    const n = result.outside.length;
+    let message;
+    if (result.blocked === "empty") {
+      message = `Nothing to ${action}: the selection has no shapes.`;
+    } else if (result.blocked === "occupied") {
+      const k = result.occupied.length;
+      message = `Can't ${action}: ${k} shape${k === 1 ? " is" : "s are"} in the way. Set Drop to replace or swap to ${action} onto them.`;
+    } else if (result.blocked === "size") {
+      message = `Can't ${action}: the result is bigger than the board.`;
+    } else if (n > 0) {
+      message = `Can't ${action}: ${n} shape${n === 1 ? "" : "s"} would leave the board.`;
+      if (!transformOptions().autoShift) message += " Tick “Keep inside the board” to shift it back in.";
+    } else {
+      message = `Can't ${action}: the selection is already at the edge.`;
+    }
+
+    clearBlocked();
+    announce(message);
+    if (editNote) {
+      editNote.textContent = message;
+      editNote.hidden = false;
+    }
+
+    let positions = [...state.selected].map(getCellRC);
+    if (result.blocked === "occupied") positions = result.occupied;
+    else if (n > 0) positions = result.outside;
+    blockedCells = positions.map(({ row, col }) => cells[getCellIndex(row, col)]).filter(Boolean);
+    blockedCells.forEach((cell) => cell.classList.add("is-blocked"));
+    blockedTimer = setTimeout(() => {
+      blockedCells.forEach((cell) => cell.classList.remove("is-blocked"));
+      blockedCells = [];
+    }, BLOCKED_FLASH_MS);
+  }
+
+  function clearBlocked() {
+    clearTimeout(blockedTimer);
+    blockedCells.forEach((cell) => cell.classList.remove("is-blocked"));
+    blockedCells = [];
+    if (editNote) editNote.hidden = true;
+  }
+
+  // Writes a move/transform plan to the board; returns the destination cells
+  function applyPlan(plan) {
+    const dests = board.applyPlan(plan).map(({ row, col }) => cells[getCellIndex(row, col)]);
+    plan.forEach((p) => renderCell(cells[getCellIndex(p.srcRow, p.srcCol)]));
+    dests.forEach(renderCell);
+    return dests;
+  }
+
+  // ---------- Repeat ----------
+  const floorDiv = (a, b) => Math.floor(a / b);
+  const mod = (a, b) => ((a % b) + b) % b;
+
+  // Tiles the selection's bounding box across the board or output window. Repeats are aligned
+  // to the original block, which stays where it is. Only the tile's shapes are written: its
+  // empty spots leave whatever is under them, inside the block or out.
+  function repeatSelection() {
+    if (state.mode !== "select" || state.selected.size === 0) return;
+    if (!canEditLayer()) return;
+
+    const layout = repeatLayout && REPEAT_LAYOUTS.includes(repeatLayout.value) ? repeatLayout.value : "straight";
+    const variation = REPEAT_VARIATIONS[repeatVariation ? repeatVariation.value : "none"] || REPEAT_VARIATIONS.none;
+    const region = repeatRegion && repeatRegion.value === "window"
+      ? board.outputWindow(state.outputSize)
+      : { startRow: 0, startCol: 0, endRow: board.rows, endCol: board.cols };
+
+    const { minRow, maxRow, minCol, maxCol } = selectionBounds(state.selected);
+    const h = maxRow - minRow + 1;
+    const w = maxCol - minCol + 1;
+
+    const base = new Array(h * w).fill(null);
+    state.selected.forEach((cell) => {
       const { row, col } = getCellRC(cell);
-      const x = (col - minCol) * CELL_PX;
-      const y = (row - minRow) * CELL_PX;
-
-      const w = CELL_PX;
-      const h = CELL_PX;
-
-      let shapeMarkup = "";
-      if (data.shapeType === "square") {
-        shapeMarkup = `<rect x="0" y="0" width="${w}" height="${h}" fill="${data.color}" />`;
-      } else {
-        const r = ROUND_PX;
-        const d = [
-          `M 0 0`,
-          `H ${w - r}`,
-          `Q ${w} 0 ${w} ${r}`,
-          `V ${h}`,
-          `H 0`,
-          `Z`,
-        ].join(" ");
-        shapeMarkup = `<path d="${d}" fill="${data.color}" />`;
+      base[(row - minRow) * w + (col - minCol)] = readCellData(cell);
+    });
+
+    // Variant tiles by (i, j) parity, built with the same per-cell math as the group transforms
+    const variants = new Map();
+    function tileFor(i, j) {
+      const kinds = variation(mod(i, 2), mod(j, 2));
+      const key = kinds.join("+");
+      if (variants.has(key)) return variants.get(key);
+
+      let tile = base;
+      for (const kind of kinds) {
+        const next = new Array(h * w).fill(null);
+        tile.forEach((data, k) => {
+          if (!data) return;
+          const t = transformCell(kind, Math.floor(k / w), k % w, h, w, data);
+          next[t.row * w + t.col] = t.data;
+        });
+        tile = next;
+      }
+      variants.set(key, tile);
+      return tile;
+    }
+
+    const original = [...state.selected];
+    pushHistory("Repeat");
+
+    for (let r = region.startRow; r < region.endRow; r++) {
+      for (let c = region.startCol; c < region.endCol; c++) {
+        let dr = r - minRow;
+        let dc = c - minCol;
+        let i;
+        let j;
+
+        if (layout === "brick") {
+          j = floorDiv(dr, h);
+          dc -= mod(j, 2) ? Math.floor(w / 2) : 0;
+          i = floorDiv(dc, w);
+        } else if (layout === "halfDrop") {
+          i = floorDiv(dc, w);
+          dr -= mod(i, 2) ? Math.floor(h / 2) : 0;
+          j = floorDiv(dr, h);
+        } else {
+          i = floorDiv(dc, w);
+          j = floorDiv(dr, h);
+        }
+
+        const data = tileFor(i, j)[mod(dr, h) * w + mod(dc, w)];
+        if (data) writeCellData(cells[getCellIndex(r, c)], { ...data });
+      }
+    }
+
+    selectMany(original.filter(hasShape));
+  }
+
+  // ---------- Paint strokes ----------
+  // Press-and-drag paints (Stamp) or erases (Erase) every cell the pointer crosses, as one undo
+  // step. Pressing a filled cell in Stamp mode and releasing without moving still turns it.
+  function beginStroke(cell) {
+    stroke = { start: cell, last: cell, painted: new Set(), moved: false, started: false };
+    hideGhost();
+    if (state.mode === "erase" || !hasShape(cell)) paintStroke(cell);
+  }
+
+  function paintStroke(cell) {
+    if (!stroke || stroke.painted.has(cell)) return;
+    if (state.mode === "erase" && !hasShape(cell)) return;
+
+    if (!stroke.started) {
+      if (!canEditLayer()) {
+        stroke = null;
+        return;
+      }
+      pushHistory(state.mode === "erase" ? "Erase" : "Stamp");
+      stroke.started = true;
+    }
+
+    stroke.painted.add(cell);
+    if (state.mode === "erase") writeCellData(cell, null);
+    else stampAt(cell);
+  }
+
+  // Cells on the straight line after `from` up to `to`, so fast drags leave no gaps
+  function cellsAlong(from, to) {
+    const a = getCellRC(from);
+    const b = getCellRC(to);
+    const steps = Math.max(Math.abs(b.row - a.row), Math.abs(b.col - a.col));
+
+    const list = [];
+    for (let i = 1; i <= steps; i++) {
+      const row = Math.round(a.row + ((b.row - a.row) * i) / steps);
+      const col = Math.round(a.col + ((b.col - a.col) * i) / steps);
+      list.push(cells[getCellIndex(row, col)]);
+    }
+    return list;
+  }
+
+  function extendStroke(cell) {
+    if (!stroke || !cell || cell === stroke.last) return;
+
+    // Once the pointer moves, a filled start cell is painted over like the rest
+    if (!stroke.moved) {
+      stroke.moved = true;
+      paintStroke(stroke.start);
+    }
+
+    const from = stroke ? stroke.last : cell;
+    for (const next of cellsAlong(from, cell)) paintStroke(next);
+    if (stroke) stroke.last = cell;
+  }
+
+  function endStroke() {
+    const { start, moved, painted } = stroke;
+    stroke = null;
+
+    if (state.mode === "stamp" && !moved && painted.size === 0) rotateCell(start);
+    syncEditEnabled();
+  }
+
+  // ---------- Symmetry ----------
+  function setSymmetry(symmetry) {
+    state.symmetry = SYMMETRY_IMAGES[symmetry] ? symmetry : "none";
+    if (symmetrySelect) symmetrySelect.value = state.symmetry;
+    syncSymmetryOverlay();
+  }
+
+  // Axes only matter while stamping, so the overlay hides in the other modes
+  function syncSymmetryOverlay() {
+    if (!symmetryEl) return;
+    symmetryEl.dataset.symmetry = state.symmetry;
+    symmetryEl.hidden = state.mode !== "stamp" || state.symmetry === "none";
+  }
+
+  // Reflects/rotates (row, col) about the board centre. Quarter turns on a non-square board can
+  // land off the board or between cells; those images are dropped (null).
+  function boardImage(kind, row, col, data) {
+    if (kind === "rotate" || kind === "rotateCCW") {
+      const dr = row - (board.rows - 1) / 2;
+      const dc = col - (board.cols - 1) / 2;
+      const sign = kind === "rotate" ? 1 : -1;
+      const nr = (board.rows - 1) / 2 + sign * dc;
+      const nc = (board.cols - 1) / 2 - sign * dr;
+      if (!Number.isInteger(nr) || !Number.isInteger(nc) || !inBounds(nr, nc)) return null;
+
+      return { row: nr, col: nc, data: transformCell(kind, 0, 0, 1, 1, data).data };
+    }
+
+    return transformCell(kind, row, col, board.rows, board.cols, data);
+  }
+
+  // The stamped cell plus its symmetric counterparts, one entry per distinct cell
+  function symmetryImages(row, col, data) {
+    const images = [{ row, col, data }];
+    const seen = new Set([getCellIndex(row, col)]);
+
+    for (const kind of SYMMETRY_IMAGES[state.symmetry] || []) {
+      const image = boardImage(kind, row, col, data);
+      if (!image) continue;
+
+      const index = getCellIndex(image.row, image.col);
+      if (seen.has(index)) continue;
+      seen.add(index);
+      images.push(image);
+    }
+
+    return images;
+  }
+
+  // ---------- Drag & snap ----------
+  // Grid position under the pointer; unclamped, so it can lie off the board
+  function pointerPosition(clientX, clientY) {
+    const rect = gridEl.getBoundingClientRect();
+    return {
+      row: Math.floor(((clientY - rect.top) / rect.height) * board.rows),
+      col: Math.floor(((clientX - rect.left) / rect.width) * board.cols),
+    };
+  }
+
+  function cellFromPointer(clientX, clientY) {
+    const rect = gridEl.getBoundingClientRect();
+    const x = clientX - rect.left;
+    const y = clientY - rect.top;
+
+    if (x < 0 || y < 0 || x > rect.width || y > rect.height) return null;
+
+    const cellW = rect.width / board.cols;
+    const cellH = rect.height / board.rows;
+
+    const col = Math.min(board.cols - 1, Math.floor(x / cellW));
+    const row = Math.min(board.rows - 1, Math.floor(y / cellH));
+
+    return cells[getCellIndex(row, col)] || null;
+  }
+
+  // Moves the selection by the offset between fromCell (default: the anchor) and `to`, a
+  // { row, col } that may lie off the board; the board's { plan, blocked, outside, occupied,
+  // shift }, or null without a selection
+  function checkMove(to, fromCell = state.anchor) {
+    if (!fromCell || state.selected.size === 0) return null;
+
+    const from = getCellRC(fromCell);
+    const { autoShift, drop } = transformOptions();
+    return board.checkMove([...state.selected].map(getCellRC), to.row - from.row, to.col - from.col, { autoShift, drop });
+  }
+
+  // Returns whether the move was applied (a locked or hidden layer is announced instead)
+  function commitMove(plan) {
+    if (!canEditLayer()) return false;
+    clearBlocked();
+    pushHistory("Move");
+    selectMany(applyPlan(plan));
+    return true;
+  }
+
+  // ---------- Clipboard ----------
+  function selectionBlock() {
+    const { minRow, maxRow, minCol, maxCol } = selectionBounds(state.selected);
+    const items = [];
+
+    state.selected.forEach((cell) => {
+      const data = readCellData(cell);
+      if (!data) return;
+      const { row, col } = getCellRC(cell);
+      items.push({ row: row - minRow, col: col - minCol, data });
+    });
+
+    return { rows: maxRow - minRow + 1, cols: maxCol - minCol + 1, items };
+  }
+
+  function serializeClipboard(block) {
+    return JSON.stringify({
+      format: CLIPBOARD_FORMAT,
+      version: CLIPBOARD_VERSION,
+      items: block.items.map(({ row, col, data }) => ({ row, col, ...data })),
+    });
+  }
+
+  // Returns a block, or null if the text isn't a Shape Builder clipboard
+  function parseClipboard(text) {
+    let doc;
+    try {
+      doc = JSON.parse(text);
+    } catch {
+      return null;
+    }
+    if (!isPlainObject(doc) || doc.format !== CLIPBOARD_FORMAT || doc.version !== CLIPBOARD_VERSION) return null;
+    if (!Array.isArray(doc.items) || doc.items.length === 0 || doc.items.length > MAX_BOARD * MAX_BOARD) return null;
+
+    const items = [];
+    try {
+      doc.items.forEach((entry) => {
+        const { row, col } = entry;
+        if (!Number.isInteger(row) || !Number.isInteger(col) || row < 0 || col < 0 || row >= MAX_BOARD || col >= MAX_BOARD) {
+          throw new Error("bad position");
+        }
+        const data = {
+          shapeType: entry.shapeType,
+          color: entry.color,
+          rotation: entry.rotation,
+          mirrorX: entry.mirrorX,
+          mirrorY: entry.mirrorY,
+        };
+        validateCellData(data, "clipboard");
+        items.push({ row, col, data });
+      });
+    } catch {
+      return null;
+    }
+
+    return {
+      rows: Math.max(...items.map((i) => i.row)) + 1,
+      cols: Math.max(...items.map((i) => i.col)) + 1,
+      items,
+    };
+  }
+
+  function copySelection() {
+    if (state.mode !== "select" || state.selected.size === 0) return false;
+
+    state.clipboard = selectionBlock();
+    syncEditEnabled();
+
+    // Best effort: lets motifs travel between tabs and designs
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(serializeClipboard(state.clipboard)).catch(() => {});
+    }
+    return true;
+  }
+
+  function cutSelection() {
+    if (!layerEditable()) {
+      copySelection();
+      canEditLayer();
+      return;
+    }
+    if (!copySelection()) return;
+    pushHistory("Cut");
+    state.selected.forEach((cell) => writeCellData(cell, null));
+    clearSelection();
+  }
+
+  async function pasteClipboard() {
+    let block = null;
+
+    if (navigator.clipboard && navigator.clipboard.readText) {
+      try {
+        block = parseClipboard(await navigator.clipboard.readText());
+      } catch {
+        block = null; // permission denied or not supported; fall back to the in-page copy
+      }
+    }
+
+    if (block) state.clipboard = block;
+    else block = state.clipboard;
+    if (!block) return;
+
+    startPaste(block);
+  }
+
+  function startPaste(block) {
+    state.paste = { block, at: null };
+    gridEl.classList.add("is-pasting");
+    syncEditEnabled();
+  }
+
+  function cancelPaste() {
+    if (!state.paste) return;
+    state.paste = null;
+    gridEl.classList.remove("is-pasting");
+    hideGhost();
+    syncEditEnabled();
+  }
+
+  // Block placements with the block centred on `cell`; valid only if everything lands on the board
+  function planPaste(block, cell) {
+    const { row, col } = getCellRC(cell);
+    const top = row - Math.floor((block.rows - 1) / 2);
+    const left = col - Math.floor((block.cols - 1) / 2);
+
+    const entries = block.items.map((item) => ({ row: top + item.row, col: left + item.col, data: item.data }));
+    return { entries, valid: entries.every((e) => inBounds(e.row, e.col)) };
+  }
+
+  function previewPaste(cell) {
+    if (!state.paste) return;
+    if (!cell) {
+      hideGhost();
+      return;
+    }
+    const { entries, valid } = planPaste(state.paste.block, cell);
+    showGhost(entries, !valid);
+  }
+
+  function placeBlock(entries, label) {
+    if (!canEditLayer()) return;
+    pushHistory(label);
+
+    const placed = entries.map(({ row, col, data }) => {
+      const dest = cells[getCellIndex(row, col)];
+      writeCellData(dest, { ...data });
+      return dest;
+    });
+
+    setMode("select");
+    selectMany(placed);
+  }
+
+  // Returns whether the block was placed; a locked or hidden layer is announced by canEditLayer
+  function commitPaste(cell) {
+    if (!canEditLayer()) return false;
+    const { entries, valid } = planPaste(state.paste.block, cell);
+    if (!valid) return false;
+
+    cancelPaste();
+    placeBlock(entries, "Paste");
+    return true;
+  }
+
+  // Places a copy beside the selection (right, else below); falls back to a paste ghost
+  function duplicateSelection() {
+    if (state.mode !== "select" || state.selected.size === 0) return;
+
+    const block = selectionBlock();
+    const { minRow, minCol } = selectionBounds(state.selected);
+    const offsets = [
+      { row: minRow, col: minCol + block.cols },
+      { row: minRow + block.rows, col: minCol },
+    ];
+
+    for (const origin of offsets) {
+      const entries = block.items.map((item) => ({ row: origin.row + item.row, col: origin.col + item.col, data: item.data }));
+      if (entries.every((e) => inBounds(e.row, e.col))) {
+        placeBlock(entries, "Duplicate");
+        return;
+      }
+    }
+
+    startPaste(block);
+  }
+
+  // ---------- Export ----------
+  // The SVG comes from the board (see buildArtworkSvg in board.mjs); the window crop follows
+  // the output size
+  function artworkSvg(options) {
+    return board.toSVG({ ...options, windowSize: state.outputSize });
+  }
+
+  // Draws the SVG onto a canvas at an explicit pixel size, then encodes it
+  function rasterizeSvg(svg, width, height, mime) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+      const img = new Image();
+
+      img.onload = () => {
+        const canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext("2d").drawImage(img, 0, 0, width, height);
+        URL.revokeObjectURL(url);
+
+        canvas.toBlob((blob) => {
+          if (blob) resolve(blob);
+          else reject(new Error("the browser couldn't encode the image."));
+        }, mime, 0.92);
+      };
+
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error("the artwork couldn't be rendered."));
+      };
+
+      img.src = url;
+    });
+  }
+
+  function exportBackground() {
+    const { format, background } = state.exportOptions;
+    // JPEG has no alpha channel; transparent areas would otherwise turn black
+    return !background && format === "jpeg" ? "#ffffff" : background;
+  }
+
+  async function exportArtwork() {
+    const { format, scale } = state.exportOptions;
+    const art = artworkSvg({ ...state.exportOptions, background: exportBackground() });
+    if (!art) {
+      alert("No artwork found! Place shapes inside the export area before exporting.");
+      return;
+    }
+
+    if (format === "svg") {
+      downloadBlob(new Blob([art.svg], { type: "image/svg+xml" }), "shape-builder.svg");
+      return;
+    }
+
+    const { mime, ext } = EXPORT_FORMATS[format];
+    try {
+      const blob = await rasterizeSvg(art.svg, art.width * scale, art.height * scale, mime);
+      // Browsers without an encoder for the type fall back to PNG
+      const actualExt = blob.type === mime ? ext : EXPORT_FORMATS.png.ext;
+      downloadBlob(blob, `shape-builder.${actualExt}`);
+    } catch (err) {
+      alert(`Couldn't export: ${err.message}`);
+    }
+  }
+
+  // ---------- Export dialog ----------
+  function sanitizeExportOptions(raw) {
+    const opts = { ...DEFAULT_EXPORT_OPTIONS };
+    if (!isPlainObject(raw)) return opts;
+
+    const int = (value, min, max, fallback) => (Number.isFinite(value) ? clampInt(value, min, max) : fallback);
+
+    if (EXPORT_FORMATS[raw.format]) opts.format = raw.format;
+    if (EXPORT_CROPS.includes(raw.crop)) opts.crop = raw.crop;
+    opts.scale = int(raw.scale, 1, 4, opts.scale);
+    opts.cellSize = int(raw.cellSize, 8, 1000, opts.cellSize);
+    opts.margin = int(raw.margin, 0, 1000, opts.margin);
+    opts.gap = int(raw.gap, 0, 500, opts.gap);
+    opts.background = typeof raw.background === "string" && HEX_COLOR.test(raw.background) ? raw.background : "";
+    return opts;
+  }
+
+  function syncExportForm() {
+    const opts = state.exportOptions;
+    if (exportFormat) exportFormat.value = opts.format;
+    if (exportScale) {
+      exportScale.value = String(opts.scale);
+      exportScale.disabled = opts.format === "svg";
+    }
+    if (exportCrop) {
+      exportCrop.value = opts.crop;
+      const windowOpt = exportCrop.querySelector('option[value="window"]');
+      if (windowOpt) windowOpt.textContent = `Output window (${outputLabel(state.outputSize)})`;
+    }
+    if (exportCell) exportCell.value = String(opts.cellSize);
+    if (exportMargin) exportMargin.value = String(opts.margin);
+    if (exportGap) exportGap.value = String(opts.gap);
+    if (exportBgOn) exportBgOn.checked = !!opts.background;
+    if (exportBg) {
+      if (opts.background) exportBg.value = opts.background;
+      exportBg.disabled = !opts.background;
+    }
+    updateExportSize();
+  }
+
+  function readExportForm() {
+    const value = (input) => (input ? parseInt(input.value, 10) : NaN);
+
+    state.exportOptions = sanitizeExportOptions({
+      format: exportFormat ? exportFormat.value : state.exportOptions.format,
+      scale: value(exportScale),
+      crop: exportCrop ? exportCrop.value : state.exportOptions.crop,
+      cellSize: value(exportCell),
+      margin: value(exportMargin),
+      gap: value(exportGap),
+      background: exportBgOn && exportBgOn.checked && exportBg ? exportBg.value : "",
+    });
+
+    writeStorage(EXPORT_KEY, state.exportOptions);
+    syncExportForm();
+  }
+
+  function updateExportSize() {
+    if (!exportSize) return;
+    const { format, scale } = state.exportOptions;
+    const art = artworkSvg(state.exportOptions);
+
+    if (!art) {
+      exportSize.textContent = "Nothing to export yet.";
+    } else if (format === "svg") {
+      exportSize.textContent = `${art.width} × ${art.height} (vector)`;
+    } else {
+      exportSize.textContent = `${art.width * scale} × ${art.height * scale} px`;
+    }
+  }
+
+  function openExportDialog() {
+    if (!exportDialog || typeof exportDialog.showModal !== "function") {
+      exportArtwork();
+      return;
+    }
+    syncExportForm();
+    exportDialog.returnValue = ""; // Escape keeps the last value, which would export again
+    exportDialog.showModal();
+  }
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+
+    URL.revokeObjectURL(url);
+  }
+
+  // ---------- Project files ----------
+  // The format, its migrations and validation live in board.mjs; the editor adds its
+  // palette and tool
+  function currentTool() {
+    return { shapeType: state.shapeType, color: state.color };
+  }
+
+  function serializeProject() {
+    return board.toProject({ palette: state.palette, tool: currentTool() });
+  }
+
+  function saveProject() {
+    const json = JSON.stringify(serializeProject(), null, 2);
+    downloadBlob(new Blob([json], { type: "application/json" }), "shape-builder.json");
+  }
+
+  function applyProject({ snap, palette, tool }, label) {
+    pushHistory(label);
+    restoreSnapshot(snap);
+
+    state.shapeType = tool.shapeType;
+    setActiveWithin(shapeGroup, (b) => b.dataset.shape === state.shapeType);
+    setPalette(palette, null, tool.color);
+
+    syncEditEnabled();
+  }
+
+  // ---------- Share links ----------
+  function shareUrl() {
+    return `${location.href.split("#")[0]}${encodeShareHash(board.snapshot(), state.palette)}`;
+  }
+
+  function copyShareLink() {
+    let url;
+    try {
+      url = shareUrl();
+    } catch (err) {
+      alert(`Couldn't make a link: ${err.message}`);
+      return;
+    }
+
+    // Without clipboard access the link is offered for copying by hand
+    const offer = () => prompt("Copy this link:", url);
+    if (!navigator.clipboard || !navigator.clipboard.writeText) {
+      offer();
+      return;
+    }
+    navigator.clipboard.writeText(url).then(() => announce("Link copied."), offer);
+  }
+
+  // Loads a design from the page's hash, as an undoable step on top of the current board. The
+  // hash is cleared afterwards so reloading doesn't apply it again.
+  function openSharedLink() {
+    if (!isShareHash(location.hash)) return;
+
+    let project;
+    try {
+      project = decodeShareHash(location.hash, currentTool());
+    } catch (err) {
+      alert(`Couldn't open the shared design: ${err.message}`);
+      project = null;
+    }
+    window.history.replaceState(null, "", location.href.split("#")[0]);
+    if (project) applyProject(project, "Open shared link");
+  }
+
+  async function openProjectFile(file) {
+    let project;
+    try {
+      project = parseProject(await file.text(), currentTool());
+    } catch (err) {
+      alert(`Couldn't open "${file.name}": ${err.message}`);
+      return;
+    }
+    applyProject(project, "Open project");
+  }
+
+  // ---------- Local storage (autosave + drafts) ----------
+  function readStorage(key) {
+    try {
+      const raw = localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function writeStorage(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch {
+      return false; // quota exceeded or storage disabled
+    }
+  }
+
+  function removeStorage(key) {
+    try {
+      localStorage.removeItem(key);
+    } catch {
+      // storage disabled; nothing to remove
+    }
+  }
+
+  function scheduleAutosave() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(writeAutosave, AUTOSAVE_DELAY_MS);
+  }
+
+  function writeAutosave() {
+    const entry = {
+      savedAt: Date.now(),
+      project: serializeProject(),
+      history: board.history.slice(-AUTOSAVE_HISTORY_LIMIT),
+      future: board.future.slice(-AUTOSAVE_HISTORY_LIMIT),
+    };
+
+    // Large boards can blow the quota; the board itself matters more than its undo stack
+    if (!writeStorage(AUTOSAVE_KEY, entry)) {
+      writeStorage(AUTOSAVE_KEY, { ...entry, history: [], future: [] });
+    }
+  }
+
+  function isValidHistoryEntry(entry) {
+    return isPlainObject(entry) && typeof entry.label === "string" && isValidSnapshot(normalizeSnapshot(entry.snap));
+  }
+
+  // Autosaves from before layers stored single-grid snapshots
+  function readHistoryEntries(list) {
+    if (!Array.isArray(list)) return [];
+    return list
+      .filter(isValidHistoryEntry)
+      .map((entry) => ({ label: entry.label, snap: normalizeSnapshot(entry.snap) }));
+  }
+
+  function recoverAutosave() {
+    const saved = readStorage(AUTOSAVE_KEY);
+    if (!isPlainObject(saved)) return;
+
+    let project;
+    try {
+      project = readProject(saved.project, currentTool());
+    } catch {
+      removeStorage(AUTOSAVE_KEY);
+      return;
+    }
+
+    const history = readHistoryEntries(saved.history);
+    const future = readHistoryEntries(saved.future);
+    const hasArtwork = project.snap.layers.some((layer) => layer.cells.some(Boolean));
+    if (!hasArtwork && history.length === 0) return;
+
+    const when = new Date(saved.savedAt).toLocaleString();
+    if (!confirm(`Recover your previous session (autosaved ${when})?\nCancel discards it.`)) {
+      removeStorage(AUTOSAVE_KEY);
+      return;
+    }
+
+    applyProject(project, "Recover session");
+    board.history = history;
+    board.future = future;
+    renderHistory();
+  }
+
+  function readDrafts() {
+    const drafts = readStorage(DRAFTS_KEY);
+    return isPlainObject(drafts) ? drafts : {};
+  }
+
+  function renderDraftList(selectedName) {
+    if (!draftList) return;
+
+    const names = Object.keys(readDrafts()).sort((a, b) => a.localeCompare(b));
+    draftList.innerHTML = "";
+
+    if (names.length === 0) {
+      const empty = document.createElement("option");
+      empty.value = "";
+      empty.textContent = "No drafts yet";
+      draftList.appendChild(empty);
+    }
+
+    for (const name of names) {
+      const opt = document.createElement("option");
+      opt.value = name;
+      opt.textContent = name;
+      draftList.appendChild(opt);
+    }
+
+    if (selectedName && names.includes(selectedName)) draftList.value = selectedName;
+    draftList.disabled = names.length === 0;
+
+    document.querySelectorAll('[data-draft="load"], [data-draft="delete"]').forEach((b) => {
+      b.disabled = names.length === 0;
+    });
+  }
+
+  function saveDraft() {
+    const name = draftNameInput ? draftNameInput.value.trim() : "";
+    if (!name) {
+      alert("Give the draft a name first.");
+      return;
+    }
+
+    const drafts = readDrafts();
+    if (drafts[name] && !confirm(`Replace the existing draft "${name}"?`)) return;
+
+    drafts[name] = { savedAt: Date.now(), project: serializeProject() };
+    if (!writeStorage(DRAFTS_KEY, drafts)) {
+      alert("Couldn't save the draft: browser storage is full or unavailable.");
+      return;
+    }
+
+    if (draftNameInput) draftNameInput.value = "";
+    renderDraftList(name);
+  }
+
+  function loadDraft() {
+    const name = draftList ? draftList.value : "";
+    const draft = readDrafts()[name];
+    if (!draft) return;
+
+    try {
+      applyProject(readProject(draft.project, currentTool()), `Load draft "${name}"`);
+    } catch (err) {
+      alert(`Couldn't load draft "${name}": ${err.message}`);
+    }
+  }
+
+  function deleteDraft() {
+    const name = draftList ? draftList.value : "";
+    const drafts = readDrafts();
+    if (!drafts[name] || !confirm(`Delete the draft "${name}"?`)) return;
+
+    delete drafts[name];
+    writeStorage(DRAFTS_KEY, drafts);
+    renderDraftList();
+  }
+
+  // ---------- SVG import ----------
+  // Reads the structure buildArtworkSvg writes: one <g data-layer="name"> per layer holding
+  // one outer <g transform="translate(x y)"> per cell, wrapping
+  // <g transform="translate(cx cy) rotate(a) scale(sx sy) translate(-cx -cy)">
+  // around the elements of one SHAPES entry. Older files have the cell groups at the top level.
+  function parseTransform(value) {
+    const ops = [];
+    const re = /(\w+)\(([^)]*)\)/g;
+    let m;
+    while ((m = re.exec(value || ""))) {
+      ops.push({ name: m[1], args: m[2].trim().split(/[\s,]+/).map(Number) });
+    }
+    return ops;
+  }
+
+  function elementSignature(tag, attrs) {
+    return `${tag}|${Object.keys(attrs).sort().map((k) => `${k}=${attrs[k]}`).join(";")}`;
+  }
+
+  // Matches drawn elements (fill ignored) against every registered shape at this cell size
+  function readSvgShapeType(els, size) {
+    const found = els
+      .map((el) => {
+        const attrs = {};
+        Array.from(el.attributes).forEach((a) => {
+          if (a.name !== "fill") attrs[a.name] = a.value;
+        });
+        return elementSignature(el.tagName.toLowerCase(), attrs);
+      })
+      .join("\n");
+
+    return SHAPE_TYPES.find((type) => {
+      const expected = SHAPES[type]
+        .elements(num(size))
+        .map(([tag, attrs]) => elementSignature(tag, Object.fromEntries(Object.entries(attrs).map(([k, v]) => [k, String(v)]))))
+        .join("\n");
+      return expected === found;
+    }) || null;
+  }
+
+  function parseSvgArtwork(text) {
+    const doc = new DOMParser().parseFromString(text, "image/svg+xml");
+    const root = doc.documentElement;
+    if (doc.querySelector("parsererror") || !root || root.tagName.toLowerCase() !== "svg") {
+      throw new Error("the file is not a valid SVG.");
+    }
+
+    const placed = [];
+
+    // A leading <rect> is the optional export background, not a cell
+    const groups = Array.from(root.children).filter((el, i) => !(i === 0 && el.tagName.toLowerCase() === "rect"));
+    const layered = groups.length > 0 && groups.every((el) => el.hasAttribute("data-layer"));
+
+    const layers = layered
+      ? groups.map((el) => ({
+        name: el.getAttribute("data-layer").trim().slice(0, MAX_LAYER_NAME),
+        opacity: el.hasAttribute("opacity") ? Number(el.getAttribute("opacity")) : 1,
+        groups: Array.from(el.children),
+      }))
+      : [{ name: "Layer 1", opacity: 1, groups }];
+
+    if (layers.length > MAX_LAYERS) throw new Error(`it has more than ${MAX_LAYERS} layers.`);
+
+    let shapeCount = 0;
+    layers.forEach((layer, layerNumber) => layer.groups.forEach((outer) => {
+      const where = `shape #${++shapeCount}`;
+      const inner = outer.firstElementChild;
+      const shapeEls = inner ? Array.from(inner.children) : [];
+      if (outer.tagName.toLowerCase() !== "g" || shapeEls.length === 0) {
+        throw new Error("it doesn't look like a Shape Builder download.");
+      }
+
+      const [place] = parseTransform(outer.getAttribute("transform"));
+      const [pivot, rotate, scale] = parseTransform(inner.getAttribute("transform"));
+      if (
+        !place || place.name !== "translate" ||
+        !pivot || pivot.name !== "translate" ||
+        !rotate || rotate.name !== "rotate" ||
+        !scale || scale.name !== "scale"
+      ) {
+        throw new Error(`${where} has an unrecognised transform.`);
       }
 
-      const cx = w / 2;
-      const cy = h / 2;
-      const sx = data.mirrorX ? -1 : 1;
-      const sy = data.mirrorY ? -1 : 1;
-      const a = data.rotation;
-
-      shapesSvg.push(
-        `<g transform="translate(${x} ${y})">
-          <g transform="translate(${cx} ${cy}) rotate(${a}) scale(${sx} ${sy}) translate(${-cx} ${-cy})">
-            ${shapeMarkup}
-          </g>
-        </g>`
-      );
+      // The cell size is recovered from the rotation pivot (the cell centre)
+      const size = pivot.args[0] * 2;
+      if (!(size > 0)) throw new Error(`${where} has an invalid cell size.`);
+
+      const data = {
+        shapeType: readSvgShapeType(shapeEls, size),
+        color: shapeEls[0].getAttribute("fill"),
+        rotation: normalizeAngle(Math.round(rotate.args[0])),
+        mirrorX: scale.args[0] < 0,
+        mirrorY: scale.args[1] < 0,
+      };
+      validateCellData(data, where);
+      if (shapeEls.some((el) => el.getAttribute("fill") !== data.color)) {
+        throw new Error(`${where} mixes colours within one cell.`);
+      }
+
+      placed.push({ layer: layerNumber, x: place.args[0], y: place.args[1], size, data });
+    }));
+
+    if (placed.length === 0) throw new Error("no shapes were found.");
+
+    // Files from before export options existed have neither attribute (no margin, no gap)
+    const margin = Number(root.getAttribute("data-margin")) || 0;
+    const gap = Number(root.getAttribute("data-gap")) || 0;
+    const pitch = placed[0].size + gap;
+
+    placed.forEach((p) => {
+      p.row = Math.round((p.y - margin) / pitch);
+      p.col = Math.round((p.x - margin) / pitch);
     });
 
-    const svgContent =
-`<svg xmlns="http://www.w3.org/2000/svg" width="${svgWidth}" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}">
-${shapesSvg.join("\n")}
-</svg>`;
+    return {
+      rows: Math.max(...placed.map((p) => p.row)) + 1,
+      cols: Math.max(...placed.map((p) => p.col)) + 1,
+      layers: layers.map(({ name, opacity }, n) => ({
+        name: name || `Layer ${n + 1}`,
+        opacity: opacity >= 0 && opacity <= 1 ? opacity : 1,
+      })),
+      placed,
+    };
+  }
 
-    const blob = new Blob([svgContent], { type: "image/svg+xml" });
-    const url = URL.createObjectURL(blob);
+  // Replaces the board with the imported artwork, centred; grows the board if it's too small
+  function applySvgArtwork({ rows, cols, layers, placed }) {
+    if (rows > MAX_BOARD || cols > MAX_BOARD) {
+      throw new Error(`the artwork is larger than the ${MAX_BOARD}×${MAX_BOARD} maximum board.`);
+    }
 
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "shape-builder.svg";
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
+    const boardRows = Math.max(rows, board.rows);
+    const boardCols = Math.max(cols, board.cols);
+    const offsetRow = Math.floor((boardRows - rows) / 2);
+    const offsetCol = Math.floor((boardCols - cols) / 2);
+
+    const snap = {
+      rows: boardRows,
+      cols: boardCols,
+      active: layers.length - 1,
+      layers: layers.map(({ name, opacity }) => ({
+        name,
+        visible: true,
+        locked: false,
+        opacity,
+        cells: new Array(boardRows * boardCols).fill(null),
+      })),
+    };
 
-    URL.revokeObjectURL(url);
+    placed.forEach(({ layer, row, col, data }) => {
+      snap.layers[layer].cells[(row + offsetRow) * boardCols + (col + offsetCol)] = data;
+    });
+
+    pushHistory("Import SVG");
+    restoreSnapshot(snap);
+    syncEditEnabled();
+  }
+
+  async function importSvgFile(file) {
+    try {
+      applySvgArtwork(parseSvgArtwork(await file.text()));
+    } catch (err) {
+      alert(`Couldn't import "${file.name}": ${err.message}`);
+    }
   }
 
   // ---------- Events ----------
   // Grid click
   gridEl.addEventListener("click", (e) => {
+    if (suppressClick) {
+      suppressClick = false;
+      return;
+    }
+
     const cell = e.target.closest(".cell");
     if (!cell) return;
 
+    if (state.paste) {
+      commitPaste(cell);
+      return;
+    }
+
     const data = readCellData(cell);
 
+    if (state.mode === "pick" || (e.altKey && (state.mode === "stamp" || state.mode === "fill"))) {
+      pickAndAnnounce(cell);
+      return;
+    }
+
+    if (state.mode === "erase") {
+      eraseCell(cell);
+      return;
+    }
+
     if (state.mode === "stamp") {
-      stampCell(cell);
+      if (data) rotateCell(cell);
+      else stampCell(cell);
+      previewStamp(cell);
+      return;
+    }
+
+    if (state.mode === "fill") {
+      floodFill(cell);
+      return;
+    }
+
+    // select mode: Shift / Ctrl / Cmd toggle cells in and out of the selection
+    if (e.shiftKey || e.ctrlKey || e.metaKey) {
+      toggleSelected(cell);
       return;
     }
 
-    // select mode
     if (!data) {
       clearSelection();
       return;
@@ -592,58 +2925,123 @@ ${shapesSvg.join("\n")}
     selectSingle(cell);
   });
 
-  // Pointer drag (select mode)
+  // Pointer drag (select mode): drag a selected shape to move, drag from an empty cell to marquee
   gridEl.addEventListener("pointerdown", (e) => {
-    if (state.mode !== "select") return;
+    if (state.paste) return;
+    suppressClick = false;
 
-    const shape = e.target.closest(".shape");
-    if (!shape) return;
-
-    const cell = shape.closest(".cell");
+    const cell = e.target.closest(".cell");
     if (!cell) return;
 
+    // Stamp / Erase strokes (Alt-click is left to the eyedropper)
+    if ((state.mode === "stamp" || state.mode === "erase") && e.button === 0 && !e.altKey) {
+      beginStroke(cell);
+      gridEl.setPointerCapture(e.pointerId);
+      e.preventDefault();
+      return;
+    }
+
+    if (state.mode !== "select") return;
+
+    if (!hasShape(cell)) {
+      marquee = { start: cell, end: cell, additive: e.shiftKey || e.ctrlKey || e.metaKey, moved: false };
+      gridEl.setPointerCapture(e.pointerId);
+      e.preventDefault();
+      return;
+    }
+
     if (!state.selected.has(cell)) return;
 
     isDragging = true;
+    dragFrom = cell;
     gridEl.setPointerCapture(e.pointerId);
     e.preventDefault();
   });
 
   gridEl.addEventListener("pointermove", (e) => {
-    if (!isDragging) return;
+    if (state.paste) {
+      previewPaste(cellFromPointer(e.clientX, e.clientY));
+      return;
+    }
 
-    const cell = cellFromPointer(e.clientX, e.clientY);
-    if (!cell) {
-      clearDropTarget();
+    if (stroke) {
+      extendStroke(cellFromPointer(e.clientX, e.clientY));
       return;
     }
 
-    if (currentDropCell !== cell) {
-      clearDropTarget();
-      currentDropCell = cell;
-      currentDropCell.classList.add("is-drop-target");
+    if (state.mode === "stamp") {
+      const cell = cellFromPointer(e.clientX, e.clientY);
+      if (cell !== hoverCell) previewStamp(cell);
+      return;
+    }
+
+    if (marquee) {
+      const cell = cellFromPointer(e.clientX, e.clientY);
+      if (cell && cell !== marquee.end) {
+        marquee.end = cell;
+        marquee.moved = true;
+        renderMarquee();
+      }
+      return;
     }
+
+    if (!isDragging) return;
+
+    const to = pointerPosition(e.clientX, e.clientY);
+    if (!dropAt || dropAt.row !== to.row || dropAt.col !== to.col) previewDrop(to);
   });
 
   gridEl.addEventListener("pointerup", (e) => {
-    if (!isDragging) return;
+    if (stroke) {
+      endStroke();
+      suppressClick = true; // the stroke already handled this press
+      previewStamp(cellFromPointer(e.clientX, e.clientY));
+      return;
+    }
 
-    isDragging = false;
-    const toCell = cellFromPointer(e.clientX, e.clientY);
-    clearDropTarget();
+    if (marquee) {
+      finishMarquee();
+      return;
+    }
+
+    if (!isDragging) return;
 
-    if (!toCell) return;
+    // Dropping off the board is reported like any other blocked move
+    const result = checkMove(pointerPosition(e.clientX, e.clientY), dragFrom);
+    endDrag();
+    if (!result || (!result.plan && !result.blocked)) return;
+    if (!result.plan) {
+      showBlocked(result, "move");
+      return;
+    }
 
-    const plan = planMove(toCell);
-    if (!plan) return;
+    if (commitMove(result.plan)) announce(`Moved ${planSummary(result)}.`);
+  });
 
-    commitMove(plan);
+  gridEl.addEventListener("pointerleave", () => {
+    if (state.paste) hideGhost();
+    else previewStamp(null);
   });
 
   gridEl.addEventListener("pointercancel", () => {
+    stroke = null;
+    if (marquee) {
+      marquee = null;
+      renderMarquee();
+    }
     if (!isDragging) return;
-    isDragging = false;
-    clearDropTarget();
+    endDrag();
+  });
+
+  // Keyboard navigation inside the grid; clicks also move the roving focus
+  gridEl.addEventListener("keydown", onGridKeydown);
+
+  gridEl.addEventListener("focusin", (e) => {
+    const cell = e.target.closest(".cell");
+    if (!cell || cells[focusIndex] === cell) return;
+    if (cells[focusIndex]) cells[focusIndex].tabIndex = -1;
+    focusIndex = cells.indexOf(cell);
+    cell.tabIndex = 0;
   });
 
   // Delegated button handling (modes, picks, outputs, actions, edit)
@@ -665,16 +3063,37 @@ ${shapesSvg.join("\n")}
     }
 
     // Color
-    if (btn.dataset.color) {
-      state.color = COLORS[btn.dataset.color] || state.color;
-      setActiveWithin(colorGroup, (b) => (COLORS[b.dataset.color] || "") === state.color);
+    if (btn.dataset.swatch) {
+      selectSwatch(parseInt(btn.dataset.swatch, 10));
+      return;
+    }
+
+    // Palette editing
+    if (btn.dataset.palette) {
+      paletteAction(btn.dataset.palette);
+      return;
+    }
+
+    // Layers
+    if (btn.dataset.layer) {
+      layerAction(btn.dataset.layer);
+      return;
+    }
+
+    if (btn.dataset.layerSelect) {
+      setActiveLayer(Number(btn.dataset.layerSelect));
+      return;
+    }
+
+    if (btn.dataset.layerToggle) {
+      toggleLayer(Number(btn.dataset.layerId), btn.dataset.layerToggle);
       return;
     }
 
     // Output size
     if (btn.dataset.output) {
-      state.outputSize = clampInt(parseInt(btn.dataset.output, 10), 2, 5);
-      setActiveWithin(outputRow, (b) => Number(b.dataset.output) === state.outputSize);
+      state.outputSize = clampInt(parseInt(btn.dataset.output, 10), MIN_OUTPUT, maxOutputSize());
+      syncOutputSize();
       return;
     }
 
@@ -682,10 +3101,43 @@ ${shapesSvg.join("\n")}
     if (btn.dataset.action) {
       switch (btn.dataset.action) {
         case "randomize": randomize(); return;
+        case "regenerate": randomize(state.randomOptions.seed); return;
+        case "randomOptions": openRandomDialog(); return;
+        case "variations": renderVariations(); return;
         case "back": setMode("stamp"); return;
+        case "resize":
+          resizeBoard(readSizeInput(rowsInput, board.rows), readSizeInput(colsInput, board.cols));
+          return;
         case "undo": undo(); return;
+        case "redo": redo(); return;
         case "clear": clearAll(); return;
-        case "download": exportSVG(); return;
+        case "download": openExportDialog(); return;
+        case "save": saveProject(); return;
+        case "open": if (projectInput) projectInput.click(); return;
+        case "copyLink": copyShareLink(); return;
+        case "importSvg": if (svgInput) svgInput.click(); return;
+        default: return;
+      }
+    }
+
+    // Randomize variation thumbnails
+    if (btn.dataset.variation) {
+      applyVariation(parseInt(btn.dataset.variation, 10));
+      return;
+    }
+
+    // History list
+    if (btn.dataset.historyStep) {
+      jumpToHistoryStep(parseInt(btn.dataset.historyStep, 10));
+      return;
+    }
+
+    // Drafts
+    if (btn.dataset.draft) {
+      switch (btn.dataset.draft) {
+        case "save": saveDraft(); return;
+        case "load": loadDraft(); return;
+        case "delete": deleteDraft(); return;
         default: return;
       }
     }
@@ -703,8 +3155,16 @@ ${shapesSvg.join("\n")}
         case "deselect":
           clearSelection();
           return;
+        case "selectColor":
+          selectMatching("color");
+          return;
+        case "selectShape":
+          selectMatching("shapeType");
+          return;
         case "rotate":
-          applyGroupTransform("rotate");
+        case "rotateCCW":
+        case "rotate180":
+          applyGroupTransform(btn.dataset.edit);
           return;
         case "mirrorX":
           applyGroupTransform("mirrorX");
@@ -715,19 +3175,207 @@ ${shapesSvg.join("\n")}
         case "delete":
           deleteSelection();
           return;
+        case "copy":
+          copySelection();
+          return;
+        case "cut":
+          cutSelection();
+          return;
+        case "paste":
+          pasteClipboard();
+          return;
+        case "duplicate":
+          duplicateSelection();
+          return;
+        case "repeat":
+          repeatSelection();
+          return;
+        case "reroll":
+          rerollSelection();
+          return;
         default:
           return;
       }
     }
   });
 
+  // Keyboard shortcuts
+  function isTypingTarget(el) {
+    if (!el) return false;
+    const tag = el.tagName;
+    return tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || el.isContentEditable;
+  }
+
+  document.addEventListener("keydown", (e) => {
+    if (isTypingTarget(e.target)) return;
+
+    if (e.key === "Escape" && isDragging) {
+      e.preventDefault();
+      endDrag();
+      announce("Move cancelled.");
+      return;
+    }
+
+    if (e.key === "Escape" && state.paste) {
+      e.preventDefault();
+      cancelPaste();
+      announce("Paste cancelled.");
+      return;
+    }
+
+    const mod = e.ctrlKey || e.metaKey;
+    if (e.altKey) return;
+
+    if (!mod) {
+      handleToolKey(e);
+      return;
+    }
+
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if ((key === "z" && e.shiftKey) || key === "y") {
+      e.preventDefault();
+      redo();
+    } else if (key === "c" && state.selected.size > 0) {
+      e.preventDefault();
+      copySelection();
+    } else if (key === "x" && state.selected.size > 0) {
+      e.preventDefault();
+      cutSelection();
+    } else if (key === "v") {
+      e.preventDefault();
+      pasteClipboard();
+    } else if (key === "d") {
+      e.preventDefault(); // also stops the browser's bookmark shortcut
+      duplicateSelection();
+    } else if (key === "a" && state.mode === "select") {
+      e.preventDefault();
+      selectMany(cells.filter(hasShape));
+      announce(`${state.selected.size} selected.`);
+    }
+  });
+
+  // Single-key tool shortcuts (no modifiers)
+  function handleToolKey(e) {
+    const key = e.key.toLowerCase();
+    const count = state.selected.size;
+    const shapesWord = `${count} shape${count === 1 ? "" : "s"}`;
+
+    const transforms = { r: "rotate", f: "mirrorX", v: "mirrorY" };
+    if (transforms[key] && state.mode === "select" && count > 0) {
+      e.preventDefault();
+      applyGroupTransform(key === "r" && e.shiftKey ? "rotateCCW" : transforms[key]);
+      return;
+    }
+
+    // Stamp and Fill place the stamp, so R / F / V turn the stamp instead
+    if (transforms[key] && state.mode !== "select") {
+      e.preventDefault();
+      transformStamp(transforms[key]);
+      announce(`Stamp: ${describeData(stampData())}.`);
+      return;
+    }
+
+    if ((e.key === "Delete" || e.key === "Backspace") && state.mode === "select" && count > 0) {
+      e.preventDefault();
+      if (deleteSelection()) announce(`Deleted ${shapesWord}.`);
+      return;
+    }
+
+    if (e.key === "Escape" && state.mode === "select" && count > 0) {
+      clearSelection();
+      announce("Selection cleared.");
+      return;
+    }
+
+    const modes = { 1: "stamp", 2: "fill", 3: "select", 4: "erase", 5: "pick" };
+    if (modes[e.key]) {
+      e.preventDefault();
+      setMode(modes[e.key]);
+      announce(`${MODE_LABELS[state.mode]} mode.`);
+    }
+  }
+
+  // Export dialog
+  state.exportOptions = sanitizeExportOptions(readStorage(EXPORT_KEY));
+  state.randomOptions = sanitizeRandomOptions(readStorage(RANDOM_KEY));
+  if (seedInput) seedInput.value = String(state.randomOptions.seed);
+
+  if (exportDialog) {
+    exportDialog.addEventListener("change", readExportForm);
+    exportDialog.addEventListener("close", () => {
+      if (exportDialog.returnValue === "export") exportArtwork();
+    });
+  }
+
+  // Palette editor inputs
+  if (swatchPicker) {
+    swatchPicker.addEventListener("input", () => editSwatchHex(swatchPicker.value));
+  }
+
+  if (swatchHex) {
+    swatchHex.addEventListener("change", () => {
+      if (!editSwatchHex(swatchHex.value)) swatchHex.value = state.color;
+    });
+  }
+
+  if (presetSelect) {
+    presetSelect.addEventListener("change", () => applyPalettePreset(presetSelect.value));
+  }
+
+  if (seedInput) {
+    seedInput.addEventListener("change", () => {
+      const seed = parseSeed(seedInput.value);
+      if (seed === null) seedInput.value = String(state.randomOptions.seed);
+      else setSeed(seed);
+    });
+  }
+
+  if (randomDialog) {
+    randomDialog.addEventListener("input", readRandomForm);
+    randomDialog.addEventListener("change", readRandomForm);
+    randomDialog.addEventListener("close", () => {
+      if (randomDialog.returnValue === "randomize") randomize();
+    });
+  }
+
+  if (layerOpacity) {
+    layerOpacity.addEventListener("input", () => setLayerOpacity(parseInt(layerOpacity.value, 10), false));
+    layerOpacity.addEventListener("change", () => setLayerOpacity(parseInt(layerOpacity.value, 10), true));
+  }
+
+  if (symmetrySelect) {
+    symmetrySelect.addEventListener("change", () => setSymmetry(symmetrySelect.value));
+  }
+
+  // File pickers (project + SVG import)
+  function bindFileInput(input, onFile) {
+    if (!input) return;
+    input.addEventListener("change", () => {
+      const file = input.files && input.files[0];
+      input.value = ""; // allow re-opening the same file
+      if (file) onFile(file);
+    });
+  }
+
+  bindFileInput(projectInput, openProjectFile);
+  bindFileInput(svgInput, importSvgFile);
+
   // ---------- Init ----------
-  buildGrid();
+  renderBoard();
+  renderShapePicker();
   setMode("stamp");
   syncEditEnabled();
 
   // Reflect defaults in UI
-  setActiveWithin(shapeGroup, (b) => b.dataset.shape === state.shapeType);
-  setActiveWithin(colorGroup, (b) => (COLORS[b.dataset.color] || "") === state.color);
-  setActiveWithin(outputRow, (b) => Number(b.dataset.output) === state.outputSize);
+  renderPalette();
+
+  renderDraftList();
+  renderHistory();
+  renderLayers();
+  recoverAutosave();
+  openSharedLink();
+  window.addEventListener("hashchange", openSharedLink);
 })();
@@ -0,0 +1,85 @@
+// Shape registry
+// Each shape is drawn once as SVG elements in an s × s cell (origin top-left, unrotated).
+// The same elements render the grid cells, the picker tiles and the export, and the
+// SVG importer matches against them — so adding an entry here is all a new shape needs.
+// No DOM access: this module loads in the browser and in Node alike.
+//
+// `edges` lists the filled stretches of each side of the unrotated shape, in fractions of the
+// side (top/bottom run left → right, left/right top → bottom). The connected generator uses
+// them to make neighbouring tiles meet edge to edge.
+
+export const CELL_PX = 100;
+
+// Was ~55px (0.55 * 100). Increased by +5px per request.
+export const ROUND_PX = 60;
+
+export const num = (n) => Math.round(n * 1000) / 1000;
+
+const FULL = [[0, 1]];
+const ROUND = ROUND_PX / CELL_PX; // corner radius as a fraction of the side
+
+export const SHAPES = {
+  square: {
+    label: "Square",
+    elements: (s) => [["rect", { x: 0, y: 0, width: s, height: s }]],
+    edges: { top: FULL, right: FULL, bottom: FULL, left: FULL },
+  },
+  rounded: {
+    label: "Rounded corner",
+    elements: (s) => {
+      const r = num((s * ROUND_PX) / CELL_PX); // top-right rounded
+      return [["path", { d: `M 0 0 H ${num(s - r)} Q ${s} 0 ${s} ${r} V ${s} H 0 Z` }]];
+    },
+    edges: { top: [[0, 1 - ROUND]], right: [[ROUND, 1]], bottom: FULL, left: FULL },
+  },
+  opposite: {
+    label: "Opposite rounded corners",
+    elements: (s) => {
+      const r = num((s * ROUND_PX) / CELL_PX); // top-right + bottom-left rounded
+      return [["path", { d: `M 0 0 H ${num(s - r)} Q ${s} 0 ${s} ${r} V ${s} H ${r} Q 0 ${s} 0 ${num(s - r)} Z` }]];
+    },
+    edges: { top: [[0, 1 - ROUND]], right: [[ROUND, 1]], bottom: [[ROUND, 1]], left: [[0, 1 - ROUND]] },
+  },
+  quarter: {
+    label: "Quarter circle",
+    elements: (s) => [["path", { d: `M 0 ${s} V 0 A ${s} ${s} 0 0 1 ${s} ${s} Z` }]],
+    edges: { top: [], right: [], bottom: FULL, left: FULL },
+  },
+  half: {
+    label: "Half circle",
+    elements: (s) => [["path", { d: `M 0 ${s} A ${num(s / 2)} ${num(s / 2)} 0 0 1 ${s} ${s} Z` }]],
+    edges: { top: [], right: [], bottom: FULL, left: [] },
+  },
+  triangle: {
+    label: "Triangle",
+    elements: (s) => [["path", { d: `M 0 0 H ${s} V ${s} Z` }]],
+    edges: { top: FULL, right: FULL, bottom: [], left: [] },
+  },
+  circle: {
+    label: "Circle",
+    elements: (s) => [["circle", { cx: num(s / 2), cy: num(s / 2), r: num(s / 2) }]],
+    edges: { top: [], right: [], bottom: [], left: [] },
+  },
+  stripes: {
+    label: "Stripes",
+    elements: (s) => [0, 2, 4].map((k) => ["rect", { x: 0, y: num((k * s) / 5), width: s, height: num(s / 5) }]),
+    edges: { top: FULL, right: [[0, 0.2], [0.4, 0.6], [0.8, 1]], bottom: FULL, left: [[0, 0.2], [0.4, 0.6], [0.8, 1]] },
+  },
+};
+
+export const SHAPE_TYPES = Object.keys(SHAPES);
+
+export function shapeMarkup(shapeType, color, size) {
+  const shape = SHAPES[shapeType] || SHAPES.square;
+  return shape
+    .elements(size)
+    .map(([tag, attrs]) => {
+      const list = Object.entries(attrs).map(([k, v]) => `${k}="${v}"`).join(" ");
+      return `<${tag} ${list} fill="${color}" />`;
+    })
+    .join("");
+}
+
+export function shapeSvg(shapeType, color) {
+  return `<svg viewBox="0 0 ${CELL_PX} ${CELL_PX}" preserveAspectRatio="none" aria-hidden="true">${shapeMarkup(shapeType, color, CELL_PX)}</svg>`;
+}
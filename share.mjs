@@ -0,0 +1,197 @@
+// Share links: a whole design (size, palette, layers and cells) packed into the URL hash, so it
+// can be pasted into chat and opened straight in the editor. DOM-free like board.mjs.
+//
+//   #design=1.<base64url bytes>
+//
+// The number before the dot is the format version. v1 bytes, in order:
+//   rows, cols
+//   palette count, then per swatch: r, g, b, name length, UTF-8 name
+//   extra colour count, then r, g, b each (colours used by cells but missing from the palette)
+//   layer count, active layer index
+//   per layer: flags (1 visible, 2 locked), opacity 0–100, name length, UTF-8 name, then its
+//   rows × cols cells row-major as tokens:
+//     0xxxxxxx                   x + 1 empty cells
+//     1sssssss cccccccc 0000yxrr  shape s (SHAPE_TYPES index), colour c (palette, then extras),
+//                                rotation r × 90°, mirror x / y
+// Shapes are referenced by position in SHAPE_TYPES, so new shapes must be appended there.
+// Decoding only rebuilds a project document; readProject does the validating.
+
+import { PROJECT_FORMAT, PROJECT_VERSION, ROTATIONS, SHAPE_TYPES, readProject } from "./board.mjs";
+
+export const SHARE_PREFIX = "#design=";
+export const SHARE_VERSION = 1;
+export const MAX_SHARE_LENGTH = 65536; // characters after the prefix; the largest legal design fits
+
+const MAX_COLORS = 256; // colour indexes are one byte
+const MAX_RUN = 128;
+const MAX_NAME_BYTES = 255;
+
+// ---------- Bytes ----------
+function toBase64Url(bytes) {
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  if (!/^[A-Za-z0-9_-]*$/.test(text)) throw new Error("the link is damaged.");
+  let binary;
+  try {
+    binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  } catch {
+    throw new Error("the link is damaged.");
+  }
+  return Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+}
+
+// UTF-8 name, cut back a character at a time to fit its one-byte length
+function nameBytes(name) {
+  const encoder = new TextEncoder();
+  let chars = [...name];
+  let bytes = encoder.encode(name);
+  while (bytes.length > MAX_NAME_BYTES) {
+    chars = chars.slice(0, -1);
+    bytes = encoder.encode(chars.join(""));
+  }
+  return [bytes.length, ...bytes];
+}
+
+const hexBytes = (hex) => [1, 3, 5].map((at) => parseInt(hex.slice(at, at + 2), 16));
+const byteHex = (bytes) => `#${bytes.map((b) => b.toString(16).padStart(2, "0")).join("")}`;
+
+// Sequential reads that fail as a damaged link instead of running off the end
+function byteReader(bytes) {
+  let at = 0;
+  const next = () => {
+    if (at >= bytes.length) throw new Error("the link is incomplete.");
+    return bytes[at++];
+  };
+  return {
+    next,
+    take: (n) => Array.from({ length: n }, next),
+    text: () => {
+      const length = next();
+      return new TextDecoder().decode(Uint8Array.from({ length }, next));
+    },
+    done: () => at === bytes.length,
+  };
+}
+
+// ---------- Encode ----------
+// The hash (with SHARE_PREFIX) for a snapshot and the editor's palette. Throws when the cells
+// use more colours than a link can index.
+export function encodeShareHash(snap, palette) {
+  const colors = palette.map(({ hex }) => hex.toLowerCase());
+  const extras = [];
+  snap.layers.forEach((layer) => {
+    layer.cells.forEach((data) => {
+      if (data && !colors.includes(data.color) && !extras.includes(data.color)) extras.push(data.color);
+    });
+  });
+  const table = colors.concat(extras);
+  if (table.length > MAX_COLORS) throw new Error(`a link can hold at most ${MAX_COLORS} colours.`);
+
+  const out = [snap.rows, snap.cols, palette.length];
+  palette.forEach(({ name, hex }) => out.push(...hexBytes(hex), ...nameBytes(name)));
+  out.push(extras.length);
+  extras.forEach((hex) => out.push(...hexBytes(hex)));
+  out.push(snap.layers.length, snap.active);
+
+  snap.layers.forEach((layer) => {
+    out.push((layer.visible ? 1 : 0) | (layer.locked ? 2 : 0), Math.round(layer.opacity * 100), ...nameBytes(layer.name));
+
+    let run = 0;
+    const flush = () => {
+      if (run) out.push(run - 1);
+      run = 0;
+    };
+    layer.cells.forEach((data) => {
+      if (!data) {
+        run++;
+        if (run === MAX_RUN) flush();
+        return;
+      }
+      flush();
+      out.push(
+        0x80 | SHAPE_TYPES.indexOf(data.shapeType),
+        table.indexOf(data.color),
+        ROTATIONS.indexOf(data.rotation) | (data.mirrorX ? 4 : 0) | (data.mirrorY ? 8 : 0),
+      );
+    });
+    flush();
+  });
+
+  return `${SHARE_PREFIX}${SHARE_VERSION}.${toBase64Url(out)}`;
+}
+
+// ---------- Decode ----------
+export function isShareHash(hash) {
+  return typeof hash === "string" && hash.startsWith(SHARE_PREFIX);
+}
+
+// { snap, palette, tool } as readProject returns, or throws with a readable reason. The tool
+// isn't part of a link, so it comes from `defaults`.
+export function decodeShareHash(hash, defaults) {
+  if (!isShareHash(hash)) throw new Error("the link holds no design.");
+  const body = hash.slice(SHARE_PREFIX.length);
+  if (body.length > MAX_SHARE_LENGTH) throw new Error("the link is too long.");
+
+  const dot = body.indexOf(".");
+  const version = Number(body.slice(0, dot));
+  if (dot < 1 || !Number.isInteger(version) || version < 1) throw new Error("the link's version is missing.");
+  if (version > SHARE_VERSION) throw new Error(`the link was made by a newer version (v${version}).`);
+
+  const read = byteReader(fromBase64Url(body.slice(dot + 1)));
+  const board = { rows: read.next(), cols: read.next() };
+
+  const palette = Array.from({ length: read.next() }, () => {
+    const hex = byteHex(read.take(3));
+    return { name: read.text(), hex };
+  });
+  const extras = Array.from({ length: read.next() }, () => byteHex(read.take(3)));
+  const table = palette.map(({ hex }) => hex).concat(extras);
+
+  const layerCount = read.next();
+  const activeLayer = read.next();
+  const total = board.rows * board.cols;
+
+  const layers = Array.from({ length: layerCount }, () => {
+    const flags = read.next();
+    const opacity = read.next();
+    if (flags > 3 || opacity > 100) throw new Error("the link is damaged.");
+    const name = read.text();
+
+    const cells = [];
+    let index = 0;
+    while (index < total) {
+      const token = read.next();
+      if (token < 0x80) {
+        index += token + 1;
+        continue;
+      }
+
+      const shapeType = SHAPE_TYPES[token & 0x7f];
+      const color = table[read.next()];
+      const orient = read.next();
+      if (!shapeType || !color || orient > 15) throw new Error("the link is damaged.");
+      cells.push({
+        row: Math.floor(index / board.cols),
+        col: index % board.cols,
+        shapeType,
+        color,
+        rotation: ROTATIONS[orient & 3],
+        mirrorX: !!(orient & 4),
+        mirrorY: !!(orient & 8),
+      });
+      index++;
+    }
+    if (index !== total) throw new Error("the link is damaged.");
+
+    return { name, visible: !!(flags & 1), locked: !!(flags & 2), opacity: opacity / 100, cells };
+  });
+  if (!read.done()) throw new Error("the link is damaged.");
+
+  return readProject({ format: PROJECT_FORMAT, version: PROJECT_VERSION, board, palette, layers, activeLayer }, defaults);
+}
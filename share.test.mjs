@@ -0,0 +1,114 @@
+// Tests for share links: encoding a design into the URL hash and reading it back, and turning
+// damaged or foreign links away. Node's built-in runner, no dependencies:
+//
+//   node --test share.test.mjs
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { Board, DEFAULT_PALETTE, MAX_BOARD, MAX_LAYERS, SHAPE_TYPES } from "./board.mjs";
+import { MAX_SHARE_LENGTH, SHARE_PREFIX, decodeShareHash, encodeShareHash, isShareHash } from "./share.mjs";
+
+const shape = (shapeType, color, rotation = 0, mirrorX = false, mirrorY = false) => ({ shapeType, color, rotation, mirrorX, mirrorY });
+
+// A snapshot without layer ids, which links (like project files) don't carry
+const withoutIds = (snap) => ({ ...snap, layers: snap.layers.map(({ id, ...layer }) => layer) });
+
+// The hash with its base64url bytes passed through `edit`
+function editBytes(hash, edit) {
+  const [version, body] = hash.slice(SHARE_PREFIX.length).split(".");
+  const bytes = [...Buffer.from(body, "base64url")];
+  return `${SHARE_PREFIX}${version}.${Buffer.from(edit(bytes)).toString("base64url")}`;
+}
+
+function sampleBoard() {
+  const board = new Board(6, 9);
+  board.set(0, 0, shape("square", DEFAULT_PALETTE[0].hex));
+  board.set(2, 5, shape("quarter", DEFAULT_PALETTE[1].hex, 270, true));
+  board.set(5, 8, shape("stripes", "#123abc", 90, false, true)); // not in the palette
+  const top = board.addLayer("Ünïcode ✿ layer");
+  board.set(3, 3, shape("circle", "#123abc"), top.id);
+  board.layer(top.id).opacity = 0.35;
+  board.layer(top.id).locked = true;
+  board.layers[0].visible = false;
+  board.setActiveLayer(board.layers[0].id);
+  return board;
+}
+
+describe("share links", () => {
+  it("round-trips size, layers, cells and palette", () => {
+    const board = sampleBoard();
+    const palette = [...DEFAULT_PALETTE, { name: "Blå", hex: "#AABBCC" }];
+    const hash = encodeShareHash(board.snapshot(), palette);
+
+    assert.ok(isShareHash(hash));
+    const { snap, palette: decoded, tool } = decodeShareHash(hash, { shapeType: "circle", color: "#000000" });
+    assert.deepEqual(snap, withoutIds(board.snapshot()));
+    assert.deepEqual(decoded, palette.map(({ name, hex }) => ({ name, hex: hex.toLowerCase() })));
+    assert.deepEqual(tool, { shapeType: "circle", color: "#000000" });
+  });
+
+  it("fits the largest design", () => {
+    const board = new Board(MAX_BOARD, MAX_BOARD);
+    while (board.layers.length < MAX_LAYERS) board.addLayer();
+    board.layers.forEach((layer, n) => {
+      layer.cells = layer.cells.map((_, i) => shape(SHAPE_TYPES[(i + n) % SHAPE_TYPES.length], DEFAULT_PALETTE[i % 2].hex, 90 * (i % 4)));
+    });
+    const hash = encodeShareHash(board.snapshot(), DEFAULT_PALETTE);
+
+    assert.ok(hash.length - SHARE_PREFIX.length <= MAX_SHARE_LENGTH);
+    assert.deepEqual(decodeShareHash(hash).snap, withoutIds(board.snapshot()));
+  });
+
+  it("refuses to encode more colours than a link can index", () => {
+    const board = new Board(16, 17);
+    board.layer().cells = board.layer().cells.map((_, i) => shape("square", `#${i.toString(16).padStart(6, "0")}`));
+    assert.throws(() => encodeShareHash(board.snapshot(), DEFAULT_PALETTE), /at most 256 colours/);
+  });
+});
+
+describe("bad links", () => {
+  const good = encodeShareHash(sampleBoard().snapshot(), DEFAULT_PALETTE);
+
+  it("rejects hashes that aren't share links or have no version", () => {
+    assert.equal(isShareHash("#other=1.AAAA"), false);
+    assert.throws(() => decodeShareHash("#other=1.AAAA"), /holds no design/);
+    assert.throws(() => decodeShareHash(`${SHARE_PREFIX}AAAA`), /version is missing/);
+    assert.throws(() => decodeShareHash(`${SHARE_PREFIX}x.AAAA`), /version is missing/);
+  });
+
+  it("rejects links from a newer version", () => {
+    assert.throws(() => decodeShareHash(good.replace(`${SHARE_PREFIX}1.`, `${SHARE_PREFIX}2.`)), /newer version \(v2\)/);
+  });
+
+  it("rejects damaged links", () => {
+    assert.throws(() => decodeShareHash(`${good}!`), /damaged/);
+    // A 2 × 2 layer holding one shape ends in its 3 cell bytes and a run of 3 empties
+    const board = new Board(2, 2);
+    board.set(0, 0, shape("square", DEFAULT_PALETTE[0].hex));
+    const one = encodeShareHash(board.snapshot(), DEFAULT_PALETTE);
+    const withCell = (at, value) => editBytes(one, (bytes) => bytes.map((b, i) => (i === bytes.length - at ? value : b)));
+    assert.doesNotThrow(() => decodeShareHash(withCell(4, 0x80 | SHAPE_TYPES.indexOf("circle"))));
+    assert.throws(() => decodeShareHash(withCell(4, 0xff)), /damaged/); // unknown shape
+    assert.throws(() => decodeShareHash(withCell(3, 200)), /damaged/); // unknown colour
+    assert.throws(() => decodeShareHash(withCell(2, 16)), /damaged/); // bad orientation
+    assert.throws(() => decodeShareHash(editBytes(good, (bytes) => [...bytes, 0])), /damaged/);
+  });
+
+  it("rejects truncated links", () => {
+    for (const keep of [0, 1, 5, 20]) {
+      assert.throws(() => decodeShareHash(editBytes(good, (bytes) => bytes.slice(0, keep))), /incomplete/);
+    }
+    assert.throws(() => decodeShareHash(good.slice(0, -3)), /incomplete|damaged/);
+  });
+
+  it("rejects oversized links before decoding them", () => {
+    assert.throws(() => decodeShareHash(`${SHARE_PREFIX}1.${"A".repeat(MAX_SHARE_LENGTH)}`), /too long/);
+  });
+
+  it("rejects designs the project format doesn't allow", () => {
+    // Rows and cols are the first two bytes; 1 × 4 keeps the cell count of 2 × 2
+    const small = encodeShareHash(new Board(2, 2).snapshot(), DEFAULT_PALETTE);
+    assert.throws(() => decodeShareHash(editBytes(small, (bytes) => [1, 4, ...bytes.slice(2)])), /board size/);
+  });
+});